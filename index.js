@@ -1,5 +1,7 @@
 #!/usr/bin/env node
 const ApplicationController = require("./src/applicationController");
+const { CommandLineHandler } = require("./src/commandLineHandler");
+const { ToolFramework } = require("./src/toolFramework");
 
 /**
  * Universal Tool Framework - 通用工具框架
@@ -14,13 +16,24 @@ const ApplicationController = require("./src/applicationController");
  * - 多架构支持：能自动检测系统架构并选择合适的工具版本
  * - 菜单导航：支持多级菜单，用数字选择功能
  * - 跨平台：基于Node.js，可以在不同操作系统上运行
+ * - 命令行模式：支持通过 utf run <菜单路径> 直接运行工具
+ * - 可嵌入：其他程序可以通过 ToolFramework 加载工具包、浏览菜单和运行工具
  */
 
 // 当直接运行此文件时启动应用程序
 if (require.main === module) {
-  const app = new ApplicationController();
-  app.run().catch(console.error);
+  const cli = new CommandLineHandler();
+  cli.run(process.argv.slice(2))
+    .then((exitCode) => {
+      process.exitCode = exitCode;
+    })
+    .catch((error) => {
+      console.error(error);
+      process.exitCode = 1;
+    });
 }
 
 // 导出主控制器类，供其他模块使用
 module.exports = ApplicationController;
+module.exports.ApplicationController = ApplicationController;
+module.exports.ToolFramework = ToolFramework;
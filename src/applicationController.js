@@ -1,30 +1,111 @@
 const readline = require("readline");
+const EventEmitter = require("events");
 const os = require("os");
 const path = require("path");
 const fs = require("fs");
 const ConfigHandler = require("./configHandler");
-const { MenuController } = require("./menuController");
+const { MenuController, FAVORITES_MENU_ID, resolveMenuItemPath } = require("./menuController");
 const { ToolExecutor } = require("./toolExecutor");
-const { getSystemArchitecture } = require("./systemUtils");
+const { HistoryManager } = require("./historyManager");
+const { FavoritesManager } = require("./favoritesManager");
+const { getSystemArchitecture, detectOperatingSystem } = require("./systemUtils");
+const { ConfigValidationError, validateToolPackage, validateMenuConfig, validateSettingsConfig } = require("./configValidator");
+const { normalizeParameterValue, applyParameters } = require("./parameterHandler");
 const UIHandler = require("./uiHandler");
+const { t, setLanguage, resolveLanguage } = require("./i18n");
+const { setTheme, createTheme, colorize } = require("./theme");
+const { setKeymap, createKeymap } = require("./keymap");
+const { runWithUIContext, getInput, getOutput } = require("./uiContext");
+const { checkCompatibility } = require("./compatibility");
+const { checkPackageHealth, describePackageHealth } = require("./packageHealth");
 
 /**
  * 应用程序控制器
  * 
  * 程序的核心控制器，协调各个模块工作，管理应用主循环
+ * 运行工具时触发 toolStart 和 toolFinish 事件
  */
 
-class ApplicationController {
+class ApplicationController extends EventEmitter {
   /**
    * 初始化控制器
+   * 
+   * @param {object} [options] - 控制器选项
+   * @param {string} [options.userDataPath] - 用户数据目录，默认为用户目录下的 .ut-framework
+   * @param {stream.Readable} [options.input] - 工具的标准输入，默认使用终端
+   * @param {stream.Writable} [options.output] - 工具的输出和执行信息，默认使用终端
+   * @param {stream.Writable} [options.errorOutput] - 工具的标准错误和警告信息，默认与 output 相同
+   * @param {boolean} [options.handleInterrupt=true] - 运行工具期间是否监听进程的 SIGINT，见 ToolExecutor
+   * @param {boolean} [options.isolated] - 为true时工具包的界面语言、主题和按键绑定只对当前实例生效，
+   *   不修改进程共用的设置；这些设置和输入输出流在通过 runInContext 执行的操作中生效
    */
-  constructor() {
+  constructor(options = {}) {
+    super();
     this.configHandler = null;
     this.config = null;
     this.settingsConfig = null;
     this.menuController = null;
-    this.toolExecutor = new ToolExecutor();
+    this.output = options.output || null;
+    this.errorOutput = options.errorOutput || options.output || null;
+    this.isolated = Boolean(options.isolated);
+    // 本实例的界面上下文，语言、主题和按键绑定在加载工具包时设置（仅 isolated 时）
+    this.uiContext = {
+      input: options.input || null,
+      output: this.output,
+      errorOutput: this.errorOutput,
+      language: null,
+      theme: null,
+      keymap: null
+    };
+    this.toolExecutor = new ToolExecutor({
+      input: options.input,
+      output: options.output,
+      errorOutput: options.errorOutput,
+      handleInterrupt: options.handleInterrupt
+    });
     this.configDir = null;
+    // 用户数据目录，保存配置路径、工具包列表、运行记录和收藏等
+    this.userDataPath = options.userDataPath || path.join(os.homedir(), '.ut-framework');
+    this.historyManager = new HistoryManager(this.userDataPath);
+    this.favoritesManager = new FavoritesManager(this.userDataPath);
+  }
+
+  /**
+   * 显示一行信息，指定了输出流时写入输出流
+   * 
+   * @param {string} message - 信息
+   */
+  print(message = "") {
+    if (this.output) {
+      this.output.write(`${message}\n`);
+    } else {
+      console.log(message);
+    }
+  }
+
+  /**
+   * 显示一行警告或错误信息，指定了错误输出流时写入错误输出流，否则输出到标准错误
+   * 
+   * @param {string} message - 信息
+   */
+  printError(message) {
+    if (this.errorOutput) {
+      this.errorOutput.write(`${message}\n`);
+    } else {
+      console.error(message);
+    }
+  }
+
+  /**
+   * 在本实例的界面上下文中执行操作
+   * 
+   * 操作中（包括其中的异步操作）的界面文本、样式、按键绑定和界面输入输出使用本实例的设置
+   * 
+   * @param {Function} callback - 要执行的操作
+   * @returns {*} callback 的返回值
+   */
+  runInContext(callback) {
+    return runWithUIContext(this.uiContext, callback);
   }
 
   /**
@@ -36,49 +117,52 @@ class ApplicationController {
     const menuItem = this.menuController.getMenuItem(this.menuController.getCurrentMenu(), choice);
 
     if (!menuItem) {
-      console.log("\x1b[31m无效的选择！\x1b[0m");
+      this.print(colorize("error", t("app.invalidChoice")));
       await UIHandler.waitForEnter();
       return;
     }
 
+    // 不满足显示条件的菜单项显示为不可用时不能运行
+    if (menuItem.disabled) {
+      this.print(colorize("error", t("menu.itemUnavailable", { item: UIHandler.getPlainItemName(menuItem.name) })));
+      await UIHandler.waitForEnter();
+      return null;
+    }
+
     switch (menuItem.type) {
       case "submenu":
         // 进入子菜单
         this.menuController.setCurrentMenu(menuItem.submenu);
         return null;
+      case "dynamic":
+        // 运行命令生成子菜单后进入，本次会话中已生成过时直接进入
+        if (!this.menuController.hasDynamicMenu(menuItem.submenu)) {
+          await this.loadDynamicMenu(menuItem);
+        }
+        this.menuController.setCurrentMenu(menuItem.submenu);
+        return null;
       case "executable":
-        // 运行工具
-        let selectedArch = getSystemArchitecture(); // 默认使用当前系统架构
-
-        if (
-          this.settingsConfig.settings &&
-          this.settingsConfig.settings.arch_picker
-        ) {
-          // 如果启用了架构选择器，让用户选择
-          try {
-            const userChoice = await UIHandler.architecturePicker(this.configDir, this.settingsConfig);
-            if (userChoice) {
-              selectedArch = userChoice;
-            }
-          } catch (error) {
-            if (error.message === 'BACK_TO_PARENT_MENU') {
-              // 在架构选择器中，'b'命令应该返回到之前所在的菜单（即工具所在的子菜单）
-              // 由于架构选择器是在工具选择后立即执行的，这里应该只是返回到当前菜单（不改变菜单状态）
-              // 实际上，我们不需要改变菜单状态，只是不执行工具而已
-              return null;
-            } else if (error.message === 'BACK_TO_MAIN_MENU') {
-              // 在架构选择器中，'m'命令应该返回到主菜单
-              this.menuController.goToMainMenu();
-              return null;
-            } else {
-              // 重新抛出其他错误
-              throw error;
-            }
-          }
+      case "sequence": {
+        let runItem = menuItem;
+        const runOptions = {};
+        if (menuItem.origin) {
+          // 收藏夹中的副本按原菜单项运行，运行记录使用原菜单项的导航路径
+          runItem = this.menuController.getMenuItem(menuItem.origin.menu, menuItem.origin.id);
+          runOptions.menuPath = this.menuController.getMenuPathTo(menuItem.origin.menu);
+        }
+        // 需要确认的菜单项在运行前确认，取消时返回菜单
+        if (!(await this.confirmRun(this.getConfirmation(runItem)))) {
+          return null;
+        }
+        if (runItem.type === "sequence") {
+          // 按顺序运行多个工具
+          await this.runSequenceItem(runItem, runOptions);
+        } else {
+          // 运行工具
+          await this.runExecutableItem(runItem, runOptions);
         }
-
-        await this.toolExecutor.executeTool(menuItem.path, selectedArch, this.toolPackageDir);
         return null;
+      }
       case "back":
         // 返回上级菜单
         this.menuController.goBack();
@@ -88,12 +172,790 @@ class ApplicationController {
         this.menuController.goToMainMenu();
         return null;
       default:
-        console.log("\x1b[31m未知的菜单项类型！\x1b[0m");
+        this.print(colorize("error", t("app.unknownItemType")));
         await UIHandler.waitForEnter();
         return null;
     }
   }
 
+  /**
+   * 运行动态菜单项的命令并生成菜单
+   * 
+   * 命令使用当前系统架构运行，工作目录为工具包目录，环境变量与运行工具时相同
+   * 
+   * @param {object} menuItem - 类型为 dynamic 的菜单项
+   * @param {string} [parentId] - 动态菜单的上级菜单ID，默认为当前菜单
+   * @throws {Error} 命令失败或输出无效时抛出
+   */
+  async loadDynamicMenu(menuItem, parentId = this.menuController.getCurrentMenu()) {
+    this.print(colorize("info", t("app.loadingDynamicMenu", { name: UIHandler.getPlainItemName(menuItem.name) })));
+    const output = await this.toolExecutor.captureToolOutput(menuItem.path, null, this.toolPackageDir, {
+      timeout: menuItem.timeout,
+      env: this.getToolEnvironment(menuItem),
+      configDir: this.configDir
+    });
+    this.menuController.setDynamicMenu(menuItem, parentId, output);
+  }
+
+  /**
+   * 重新生成当前的动态菜单
+   * 
+   * 当前菜单不是动态菜单时不做任何操作
+   */
+  async refreshCurrentMenu() {
+    const menuId = this.menuController.getCurrentMenu();
+    const menuItem = this.menuController.getDynamicMenuSource(menuId);
+    if (menuItem) {
+      await this.loadDynamicMenu(menuItem, this.menuController.getParentMenu(menuId));
+    }
+  }
+
+  /**
+   * 获取菜单项运行前的确认要求
+   * 
+   * confirm 为 true 或 "yes_no" 时需要输入 y 确认，为 "type_name" 时需要输入菜单项名称，为 false 时不需要确认；
+   * 未设置 confirm 时，danger 为 critical 的菜单项默认需要输入名称确认，为 warning 的默认需要输入 y 确认
+   * 
+   * @param {object} menuItem - 菜单项
+   * @returns {{mode: string, name: string, message?: string}|null} 确认要求，不需要确认时返回null
+   */
+  getConfirmation(menuItem) {
+    let mode = menuItem.confirm;
+    if (mode === undefined) {
+      mode = menuItem.danger === "critical" ? "type_name" : menuItem.danger === "warning" ? "yes_no" : false;
+    }
+
+    if (!mode) {
+      return null;
+    }
+
+    return {
+      mode: mode === "type_name" ? "type_name" : "yes_no",
+      name: UIHandler.getPlainItemName(menuItem.name),
+      message: menuItem.confirm_message
+    };
+  }
+
+  /**
+   * 确认是否运行
+   * 
+   * 交互模式下显示确认界面；非交互模式下必须通过 options.confirm 预先确认：
+   * yes_no 模式需要 yes 为 true（或在 names 中提供名称），type_name 模式需要在 names 中提供菜单项名称
+   * 
+   * @param {object|null} confirmation - getConfirmation 返回的确认要求
+   * @param {object} options - 确认选项
+   * @param {boolean} [options.interactive=true] - 是否为交互模式
+   * @param {{yes?: boolean, names?: string[]}} [options.confirm] - 非交互模式下提供的确认
+   * @returns {Promise<boolean>} 确认运行时返回true，用户取消时返回false
+   * @throws {Error} 非交互模式下未提供所需的确认时抛出
+   */
+  async confirmRun(confirmation, options = {}) {
+    if (!confirmation) {
+      return true;
+    }
+
+    if (options.interactive !== false) {
+      const confirmed = await UIHandler.confirmAction(confirmation);
+      if (!confirmed) {
+        this.print(colorize("warning", t("app.runCancelled")));
+        await UIHandler.waitForEnter();
+      }
+      return confirmed;
+    }
+
+    const provided = options.confirm || {};
+    const names = provided.names || [];
+    if (confirmation.mode === "type_name" && !names.includes(confirmation.name)) {
+      throw new Error(t("app.confirmNameRequired", { name: confirmation.name }));
+    }
+    if (confirmation.mode === "yes_no" && !provided.yes && !names.includes(confirmation.name)) {
+      throw new Error(t("app.confirmYesRequired", { name: confirmation.name }));
+    }
+    return true;
+  }
+
+  /**
+   * 运行可执行菜单项
+   * 
+   * 确定要使用的架构（指定架构、架构选择器或系统默认架构）并收集菜单项声明的参数后执行工具
+   * 
+   * @param {object} menuItem - 类型为 executable 的菜单项
+   * @param {object} options - 运行选项
+   * @param {string} [options.arch] - 指定的架构，提供时跳过架构选择器
+   * @param {object} [options.params] - 非交互模式下提供的参数值（参数名到原始值的映射）
+   * @param {boolean} [options.interactive=true] - 是否为交互模式（非交互模式下不显示架构选择器和参数输入，也不等待按键）
+   * @param {string[]} [options.menuPath] - 菜单项所在的菜单路径，用于运行记录，默认为当前菜单栈
+   * @returns {Promise<number|null>} 工具的返回码，未执行时返回null
+   */
+  async runExecutableItem(menuItem, options = {}) {
+    const interactive = options.interactive !== false;
+    let selectedArch = options.arch || getSystemArchitecture(); // 默认使用当前系统架构
+    let parameterValues = {};
+
+    try {
+      if (
+        !options.arch &&
+        interactive &&
+        this.settingsConfig.settings &&
+        this.settingsConfig.settings.arch_picker
+      ) {
+        // 如果启用了架构选择器，让用户选择
+        const userChoice = await UIHandler.architecturePicker(this.configDir, this.settingsConfig);
+        if (userChoice) {
+          selectedArch = userChoice;
+        }
+      }
+
+      // 收集菜单项声明的参数
+      if (Array.isArray(menuItem.params) && menuItem.params.length > 0) {
+        if (interactive) {
+          parameterValues = await UIHandler.promptForParameters(
+            menuItem.params, this.settingsConfig, this.configDir, this.toolPackageDir
+          );
+        } else {
+          parameterValues = this.resolveParameterValues(menuItem.params, options.params || {});
+        }
+      }
+    } catch (error) {
+      if (error.message === 'BACK_TO_PARENT_MENU') {
+        // 在架构选择器或参数输入中，'b'命令应该返回到之前所在的菜单（即工具所在的子菜单）
+        // 由于这些界面是在工具选择后立即显示的，这里应该只是返回到当前菜单（不改变菜单状态）
+        // 实际上，我们不需要改变菜单状态，只是不执行工具而已
+        return null;
+      } else if (error.message === 'BACK_TO_MAIN_MENU') {
+        // 在架构选择器或参数输入中，'m'命令应该返回到主菜单
+        this.menuController.goToMainMenu();
+        return null;
+      } else {
+        // 重新抛出其他错误
+        throw error;
+      }
+    }
+
+    const menuPath = options.menuPath || this.menuController.getMenuPath();
+    const itemPath = this.menuController.getItemBreadcrumb(menuPath, menuItem);
+    
+    this.emit("toolStart", { item: menuItem, itemPath, architecture: selectedArch, params: parameterValues });
+    const result = await this.toolExecutor.executeTool(menuItem.path, selectedArch, this.toolPackageDir, {
+      waitForEnter: interactive,
+      params: parameterValues,
+      timeout: menuItem.timeout,
+      env: this.getToolEnvironment(menuItem),
+      configDir: this.configDir,
+      logFile: this.getLogFilePath(menuItem, menuItem.key || menuItem.name)
+    });
+    
+    if (result.command) {
+      await this.recordRun(itemPath, result, null, this.getConfirmation(menuItem), [this.getItemReference(menuPath, menuItem)]);
+    }
+    this.emit("toolFinish", { item: menuItem, itemPath, result });
+    
+    return result.exitCode;
+  }
+
+  /**
+   * 运行序列菜单项
+   * 
+   * 在运行前解析全部步骤并校验参数，整个序列只选择一次架构；
+   * on_failure 为 "stop"（默认）时某一步失败后跳过剩余步骤，为 "continue" 时继续运行，
+   * 用户按 Ctrl+C 取消某一步时总是跳过剩余步骤。
+   * 每一步都会单独保存运行记录，最后显示结果汇总表
+   * 
+   * @param {object} menuItem - 类型为 sequence 的菜单项
+   * @param {object} options - 运行选项，与 runExecutableItem 相同（不包含 params）；
+   *   非交互模式下通过 options.confirm 确认序列中需要确认的菜单项，格式见 confirmRun
+   * @returns {Promise<number|null>} 全部步骤成功时返回0，否则返回第一个失败步骤的返回码，未执行时返回null
+   */
+  async runSequenceItem(menuItem, options = {}) {
+    const interactive = options.interactive !== false;
+    const onFailure = menuItem.on_failure || "stop";
+    const menuPath = options.menuPath || this.menuController.getMenuPath();
+    const sequencePath = this.menuController.getItemBreadcrumb(menuPath, menuItem);
+    const steps = this.resolveSequenceSteps(menuItem);
+    let selectedArch = options.arch || getSystemArchitecture();
+
+    // 序列中需要确认的菜单项在开始运行前逐一确认
+    for (const step of steps) {
+      const confirmation = step.item ? this.getConfirmation(step.item) : null;
+      if (!(await this.confirmRun(confirmation, { interactive, confirm: options.confirm }))) {
+        return null;
+      }
+    }
+
+    if (
+      !options.arch &&
+      interactive &&
+      this.settingsConfig.settings &&
+      this.settingsConfig.settings.arch_picker
+    ) {
+      try {
+        const userChoice = await UIHandler.architecturePicker(this.configDir, this.settingsConfig);
+        if (userChoice) {
+          selectedArch = userChoice;
+        }
+      } catch (error) {
+        if (error.message === 'BACK_TO_PARENT_MENU') {
+          return null;
+        } else if (error.message === 'BACK_TO_MAIN_MENU') {
+          this.menuController.goToMainMenu();
+          return null;
+        }
+        throw error;
+      }
+    }
+
+    const results = [];
+    let failedExitCode = null;
+    let cancelled = false;
+
+    for (let i = 0; i < steps.length; i++) {
+      const step = steps[i];
+
+      if (cancelled || (failedExitCode !== null && onFailure === "stop")) {
+        results.push({ label: step.label, status: "skipped" });
+        continue;
+      }
+
+      this.print(`\n${colorize("title", `[${i + 1}/${steps.length}] ${step.label}`)}`);
+      const stepPath = `${sequencePath} > ${step.label}`;
+      this.emit("toolStart", { item: step.logItem, itemPath: stepPath, architecture: selectedArch, params: step.params || {} });
+      const result = await this.toolExecutor.executeTool(step.toolPath, selectedArch, this.toolPackageDir, {
+        waitForEnter: false,
+        params: step.params,
+        timeout: step.timeout,
+        env: this.getToolEnvironment(menuItem, step.logItem === menuItem ? null : step.logItem),
+        configDir: this.configDir,
+        logFile: this.getLogFilePath(step.logItem, step.logItem.key || step.label)
+      });
+
+      if (result.command) {
+        const envSources = [this.getItemReference(menuPath, menuItem), step.source].filter(Boolean);
+        await this.recordRun(stepPath, result, null, step.item ? this.getConfirmation(step.item) : null, envSources);
+      }
+      this.emit("toolFinish", { item: step.logItem, itemPath: stepPath, result });
+
+      results.push({
+        label: step.label,
+        status: result.status,
+        exitCode: result.exitCode,
+        timeout: result.timeout,
+        duration: result.duration
+      });
+      if (result.status !== "success" && failedExitCode === null) {
+        failedExitCode = result.exitCode === null ? 1 : result.exitCode;
+      }
+
+      // 用户取消时不再运行剩余步骤
+      if (result.status === "cancelled") {
+        cancelled = true;
+      }
+    }
+
+    this.showSequenceSummary(menuItem.name.trim(), results);
+
+    if (interactive) {
+      await UIHandler.waitForEnterReturnMenu();
+    }
+
+    return failedExitCode === null ? 0 : failedExitCode;
+  }
+
+  /**
+   * 解析序列菜单项的全部步骤
+   * 
+   * 步骤可以是菜单项路径字符串、{ item, params } 对象或 { command, name } 对象。
+   * 引用菜单项的步骤使用 params 中提供的参数值，未提供的参数使用默认值；
+   * 内联命令的日志设置沿用序列菜单项的 log_output，超时时间使用步骤中的 timeout
+   * 
+   * @param {object} menuItem - 类型为 sequence 的菜单项
+   * @returns {Array<{label: string, toolPath: string|object, params: object, timeout: number, item: object|null, logItem: object}>} 解析后的步骤，
+   *   item 为步骤引用的菜单项，内联命令为null
+   * @throws {Error} 步骤引用的菜单项不存在、不可执行或参数无效时抛出
+   */
+  resolveSequenceSteps(menuItem) {
+    return (menuItem.steps || []).map((step, index) => {
+      const stepNumber = index + 1;
+      const target = typeof step === "string" ? step : step.item;
+
+      if (target === undefined) {
+        return {
+          label: step.name || (typeof step.command === "string" ? step.command : t("sequence.commandStep", { number: stepNumber })),
+          toolPath: step.command,
+          params: {},
+          timeout: step.timeout,
+          item: null,
+          logItem: menuItem,
+          source: null
+        };
+      }
+
+      const { item, menuPath } = this.menuController.resolveItemPath(target);
+      if (item.type !== "executable") {
+        throw new Error(t("sequence.stepNotExecutable", { number: stepNumber, target, type: item.type }));
+      }
+
+      let params = {};
+      try {
+        params = this.resolveParameterValues(item.params || [], step.params || {});
+      } catch (error) {
+        throw new Error(t("sequence.stepInvalidParams", { number: stepNumber, target, error: error.message }));
+      }
+
+      return {
+        label: this.menuController.getItemBreadcrumb(menuPath, item),
+        toolPath: item.path,
+        params,
+        timeout: item.timeout,
+        item,
+        logItem: item,
+        source: this.getItemReference(menuPath, item)
+      };
+    });
+  }
+
+  /**
+   * 显示序列运行结果汇总表
+   * 
+   * @param {string} title - 序列名称
+   * @param {Array} results - 每一步的运行结果，包含 label、status、exitCode、timeout 和 duration
+   */
+  showSequenceSummary(title, results) {
+    const rows = results.map((result, index) => {
+      let status;
+      if (result.status === "skipped") {
+        status = t("sequence.skipped");
+      } else if (result.status === "success") {
+        status = t("sequence.succeeded");
+      } else if (result.status === "failed") {
+        status = t("sequence.failed", { code: result.exitCode });
+      } else {
+        status = this.historyManager.formatResult(result);
+      }
+      const duration = result.duration === undefined ? "-" : `${(result.duration / 1000).toFixed(1)}s`;
+      return [String(index + 1), result.label, status, duration];
+    });
+
+    const lines = UIHandler.formatTable(
+      ["#", t("sequence.stepColumn"), t("sequence.resultColumn"), t("sequence.durationColumn")],
+      rows
+    );
+    this.print(`\n${colorize("title", t("sequence.summaryTitle", { title }))}`);
+    this.print(lines[0]);
+    this.print(lines[1]);
+    results.forEach((result, index) => {
+      const role = result.status === "skipped" || result.status === "cancelled"
+        ? "warning"
+        : result.status === "success" ? "success" : "error";
+      this.print(colorize(role, lines[index + 2]));
+    });
+
+    const succeeded = results.filter(result => result.status === "success").length;
+    const skipped = results.filter(result => result.status === "skipped").length;
+    const failed = results.length - succeeded - skipped;
+    this.print(`\n${t("sequence.summaryCounts", { succeeded, failed, skipped })}`);
+  }
+
+  /**
+   * 保存一条运行记录
+   * 
+   * @param {string} itemPath - 菜单项的导航路径描述
+   * @param {object} result - ToolExecutor 返回的执行结果
+   * @param {object} packageInfo - 工具包信息（name、version、path），默认为当前工具包
+   * @param {object|null} confirmation - 菜单项的确认要求，重新运行时同样需要确认
+   * @param {string[]|null} envSources - 提供环境变量的菜单项引用（见 getItemReference），重新运行时据此重新读取变量值
+   */
+  async recordRun(itemPath, result, packageInfo = null, confirmation = null, envSources = null) {
+    if (!packageInfo) {
+      // 使用已加载的设置，从配置对象加载的工具包可能没有 settings.json 文件
+      const app = this.settingsConfig.app || {};
+      packageInfo = {
+        name: app.name || path.basename(this.toolPackageDir),
+        version: app.version || t("app.unknownVersion"),
+        path: this.toolPackageDir
+      };
+    }
+    
+    this.historyManager.addEntry({
+      itemPath,
+      command: result.command,
+      architecture: result.architecture,
+      operatingSystem: result.operatingSystem,
+      package: packageInfo,
+      startTime: result.startTime.toISOString(),
+      duration: result.duration,
+      exitCode: result.exitCode,
+      status: result.status,
+      timeout: result.timeout,
+      // 环境变量的值可能包含令牌等敏感信息，只保存变量名
+      env: result.env ? Object.keys(result.env) : null,
+      envSources: result.env ? envSources : null,
+      confirm: confirmation,
+      logFile: result.logFile
+    });
+  }
+
+  /**
+   * 生成菜单项的引用，格式为 菜单ID/key（未设置 key 时使用菜单项ID），可以通过 resolveMenuItemPath 解析
+   * 
+   * 动态菜单刷新后同一个ID可能对应不同的菜单项，因此优先使用 key
+   * 
+   * @param {string[]} menuPath - 菜单项所在菜单的菜单路径
+   * @param {object} menuItem - 菜单项
+   * @returns {string} 菜单项引用
+   */
+  getItemReference(menuPath, menuItem) {
+    return `${menuPath[menuPath.length - 1]}/${menuItem.key ?? menuItem.id}`;
+  }
+
+  /**
+   * 获取运行工具时使用的环境变量
+   * 
+   * 依次合并 settings.json 中的 env 和各菜单项的 env，后面的同名变量覆盖前面的；
+   * 值中的 ${PACKAGE_DIR} 等占位符在执行时展开
+   * 
+   * @param {...object} menuItems - 按优先级从低到高排列的菜单项，为null的项会被忽略
+   * @returns {object} 环境变量名到值的映射
+   */
+  getToolEnvironment(...menuItems) {
+    return Object.assign(
+      {},
+      this.settingsConfig.env,
+      ...menuItems.filter(Boolean).map(menuItem => menuItem.env)
+    );
+  }
+
+  /**
+   * 获取本次运行的输出日志文件路径
+   * 
+   * 菜单项的 log_output 优先于 settings.json 中的 log_output 设置；
+   * 日志保存在 settings.log_dir 指定的位置："user"（默认，~/.ut-framework/logs）、
+   * "package"（工具包目录下的 logs 目录）或自定义目录（相对路径基于工具包目录）
+   * 
+   * @param {object|null} menuItem - 菜单项，为null时只使用全局设置
+   * @param {string} label - 用于日志文件名的名称
+   * @returns {string|null} 日志文件路径，未启用日志时返回null
+   */
+  getLogFilePath(menuItem, label) {
+    const settings = this.settingsConfig.settings || {};
+    const enabled = menuItem && typeof menuItem.log_output === 'boolean'
+      ? menuItem.log_output
+      : settings.log_output === true;
+    
+    if (!enabled) {
+      return null;
+    }
+    
+    let logDir;
+    if (!settings.log_dir || settings.log_dir === 'user') {
+      logDir = path.join(this.userDataPath, 'logs');
+    } else if (settings.log_dir === 'package') {
+      logDir = path.join(this.toolPackageDir, 'logs');
+    } else {
+      logDir = path.resolve(this.toolPackageDir, settings.log_dir);
+    }
+    
+    const now = new Date();
+    const pad = value => String(value).padStart(2, '0');
+    const timestamp = `${now.getFullYear()}${pad(now.getMonth() + 1)}${pad(now.getDate())}-` +
+      `${pad(now.getHours())}${pad(now.getMinutes())}${pad(now.getSeconds())}${String(now.getMilliseconds()).padStart(3, '0')}`;
+    // 去掉文件名中不允许或不便使用的字符
+    const safeLabel = String(label).trim().replace(/[\\/:*?"<>|\s]+/g, '_').slice(0, 50) || 'tool';
+    
+    // 同一时刻开始的运行（例如序列中连续的步骤）使用不同的文件名，避免覆盖之前的日志
+    let logFile = path.join(logDir, `${timestamp}-${safeLabel}.log`);
+    for (let index = 2; fs.existsSync(logFile); index++) {
+      logFile = path.join(logDir, `${timestamp}-${safeLabel}-${index}.log`);
+    }
+    return logFile;
+  }
+
+  /**
+   * 打开最近一次运行的输出日志
+   * 
+   * 配置了 settings.log_viewer 时使用该命令打开日志（{{file}} 会被替换为日志路径），
+   * 否则直接在终端中显示日志内容
+   */
+  async showLastLog() {
+    const entry = this.historyManager.getEntries().find(historyEntry =>
+      historyEntry.logFile && fs.existsSync(historyEntry.logFile)
+    );
+    
+    if (!entry) {
+      this.print(colorize("warning", t("app.noLogs")));
+      await UIHandler.waitForEnter();
+      return;
+    }
+    
+    const logViewer = this.settingsConfig.settings?.log_viewer;
+    if (logViewer) {
+      const command = applyParameters(logViewer, { file: entry.logFile }, detectOperatingSystem());
+      await this.toolExecutor.runCommand(command);
+    } else {
+      this.print(`${colorize("title", `${entry.itemPath} - ${entry.logFile}`)}\n`);
+      this.print(fs.readFileSync(entry.logFile, 'utf8'));
+    }
+    
+    await UIHandler.waitForEnter();
+  }
+
+  /**
+   * 全局搜索菜单项
+   * 
+   * 在所有菜单中模糊搜索菜单项并显示其导航路径；选择子菜单时跳转到该菜单，
+   * 选择其他菜单项时跳转到所在菜单并直接运行
+   * 
+   * @param {string} query - 查询字符串，为空时提示用户输入
+   */
+  async showSearch(query = "") {
+    if (!query) {
+      query = await UIHandler.question(colorize("info", t("search.prompt")));
+      if (!query) {
+        return;
+      }
+    }
+    
+    const results = this.menuController.searchItems(query);
+    if (results.length === 0) {
+      this.print(colorize("warning", t("search.noResults", { query })));
+      await UIHandler.waitForEnter();
+      return;
+    }
+    
+    const inputMethod = this.settingsConfig.settings?.input_method || 'num_input';
+    const title = `\n${t("search.title", { query })}\n`;
+    let selected = null;
+    
+    if (inputMethod === 'arrow_input') {
+      const menuItems = results.map((result, index) => ({ id: index + 1, name: result.breadcrumb }));
+      const selectedId = await UIHandler.selectWithArrowKeys(menuItems, title, this.configDir);
+      if (typeof selectedId === 'number') {
+        selected = results[selectedId - 1];
+      }
+    } else {
+      this.print(colorize("title", title));
+      results.forEach((result, index) => {
+        this.print(`| ${index + 1} |→ ${result.breadcrumb}`);
+      });
+      
+      const answer = await UIHandler.question(`\n${t("search.selectPrompt")}`);
+      if (answer) {
+        selected = results[parseInt(answer) - 1];
+        if (!selected) {
+          this.print(colorize("error", t("app.invalidChoice")));
+          await UIHandler.waitForEnter();
+          return;
+        }
+      }
+    }
+    
+    if (!selected) {
+      return;
+    }
+    
+    // 跳转到菜单项所在的菜单，再按普通选择的方式处理（进入子菜单或运行）
+    this.menuController.setMenuPath(selected.menuPath);
+    await this.handleUserChoice(selected.item.id);
+  }
+
+  /**
+   * 显示最近的运行记录
+   * 
+   * 列出最近的运行记录，用户可以选择其中一条重新运行
+   */
+  async showHistory() {
+    const entries = this.historyManager.getEntries(20);
+    
+    if (entries.length === 0) {
+      this.print(colorize("warning", t("history.empty")));
+      await UIHandler.waitForEnter();
+      return;
+    }
+    
+    const inputMethod = this.settingsConfig.settings?.input_method || 'num_input';
+    const title = `\n${t("history.title")}\n`;
+    let selectedIndex = -1;
+    
+    if (inputMethod === 'arrow_input') {
+      const menuItems = entries.map((entry, index) => ({
+        id: index + 1,
+        name: this.historyManager.formatEntry(entry)
+      }));
+      const selectedId = await UIHandler.selectWithArrowKeys(menuItems, title, this.configDir);
+      if (typeof selectedId === 'number') {
+        selectedIndex = selectedId - 1;
+      }
+    } else {
+      this.print(colorize("title", title));
+      entries.forEach((entry, index) => {
+        this.print(`| ${index + 1} |→ ${this.historyManager.formatEntry(entry)}`);
+      });
+      
+      const answer = await UIHandler.question(`\n${t("history.selectPrompt")}`);
+      if (answer) {
+        selectedIndex = parseInt(answer) - 1;
+        if (isNaN(selectedIndex) || !entries[selectedIndex]) {
+          this.print(colorize("error", t("app.invalidChoice")));
+          await UIHandler.waitForEnter();
+          return;
+        }
+      }
+    }
+    
+    if (entries[selectedIndex]) {
+      await this.rerunHistoryEntry(entries[selectedIndex]);
+    }
+  }
+
+  /**
+   * 重新运行一条运行记录中的命令
+   * 
+   * 使用记录中已解析的命令和工具包目录运行，并保存新的运行记录
+   * 
+   * @param {object} entry - 运行记录
+   */
+  async rerunHistoryEntry(entry) {
+    const packageDir = entry.package?.path || this.toolPackageDir;
+    if (!fs.existsSync(packageDir)) {
+      this.print(colorize("error", t("app.packageDirMissing", { path: packageDir })));
+      await UIHandler.waitForEnter();
+      return;
+    }
+    
+    if (!(await this.confirmRun(entry.confirm || null))) {
+      return;
+    }
+    
+    const result = await this.toolExecutor.executeCommand(entry.command, packageDir, {
+      architecture: entry.architecture,
+      operatingSystem: entry.operatingSystem,
+      logFile: this.getLogFilePath(null, entry.itemPath.split(' > ').pop()),
+      timeout: entry.timeout || null,
+      env: this.resolveHistoryEnvironment(entry, packageDir)
+    });
+    await this.recordRun(entry.itemPath, result, entry.package, entry.confirm || null, entry.envSources || null);
+  }
+
+  /**
+   * 获取重新运行时使用的环境变量
+   * 
+   * 运行记录中只保存变量名，变量值从工具包当前的 settings.json 和记录的菜单项中重新读取；
+   * 工具包中已不存在的变量不再设置
+   * 
+   * @param {object} entry - 运行记录
+   * @param {string} packageDir - 工具包根目录
+   * @returns {object|null} 已展开占位符的环境变量，记录中没有环境变量时返回null
+   */
+  resolveHistoryEnvironment(entry, packageDir) {
+    if (!entry.env) {
+      return null;
+    }
+    // 旧版本的运行记录直接保存了变量值
+    if (!Array.isArray(entry.env)) {
+      return entry.env;
+    }
+
+    const configDir = this.resolveConfigDir(packageDir);
+    let settingsConfig = {};
+    let menus = {};
+    if (this.toolPackageDir && path.resolve(this.toolPackageDir) === path.resolve(packageDir)) {
+      // 菜单控制器中的菜单包含本次运行中生成的动态菜单
+      settingsConfig = this.settingsConfig;
+      menus = this.menuController.config.menu;
+    } else {
+      try {
+        settingsConfig = new ConfigHandler(path.join(configDir, "settings.json")).getConfig();
+      } catch (error) {
+        // 没有 settings.json 时只使用菜单项的环境变量
+      }
+      try {
+        menus = new ConfigHandler(path.join(configDir, "menu.json")).getConfig().menu || {};
+      } catch (error) {
+        // menu.json 无法读取时只使用 settings.json 的环境变量
+      }
+    }
+
+    const items = (entry.envSources || []).map((reference) => {
+      try {
+        return resolveMenuItemPath(menus, reference).item;
+      } catch (error) {
+        return null;
+      }
+    });
+    const values = Object.assign({}, settingsConfig.env, ...items.filter(Boolean).map(item => item.env));
+
+    const env = {};
+    entry.env.filter(name => values[name] !== undefined).forEach((name) => {
+      env[name] = values[name];
+    });
+    return this.toolExecutor.expandEnvironment(env, entry.architecture, entry.operatingSystem, packageDir, configDir);
+  }
+
+  /**
+   * 校验非交互模式下提供的参数值
+   * 
+   * 未提供的参数使用默认值
+   * 
+   * @param {Array} params - 菜单项声明的参数定义
+   * @param {object} rawValues - 参数名到原始值的映射
+   * @returns {object} 参数名到参数值的映射
+   * @throws {Error} 参数值无效或缺少必需参数时抛出
+   */
+  resolveParameterValues(params, rawValues) {
+    const values = {};
+    
+    for (const param of params) {
+      const result = normalizeParameterValue(param, rawValues[param.name], this.toolPackageDir);
+      if (result.error) {
+        throw new Error(result.error);
+      }
+      values[param.name] = result.value;
+    }
+    
+    return values;
+  }
+
+  /**
+   * 按菜单路径运行菜单项（非交互模式）
+   * 
+   * 通过 menu.json 的菜单树解析菜单项路径（如 main/cpu/stress）并直接执行，
+   * 不显示架构选择器，也不等待用户按键
+   * 
+   * @param {string} itemPath - 菜单项路径
+   * @param {object} options - 运行选项
+   * @param {string} [options.arch] - 指定的架构，未指定时使用系统架构
+   * @param {object} [options.params] - 参数名到参数值的映射，未提供的参数使用默认值
+   * @param {{yes?: boolean, names?: string[]}} [options.confirm] - 需要确认的菜单项的预先确认，格式见 confirmRun
+   * @returns {Promise<number>} 工具的返回码
+   * @throws {Error} 菜单项需要确认但未提供确认时抛出
+   */
+  async runItemByPath(itemPath, options = {}) {
+    const { item, menuPath } = this.menuController.resolveItemPath(itemPath);
+
+    if (item.type !== "executable" && item.type !== "sequence") {
+      throw new Error(t("app.itemNotExecutable", { path: itemPath, type: item.type }));
+    }
+
+    await this.confirmRun(this.getConfirmation(item), { interactive: false, confirm: options.confirm });
+
+    if (item.type === "sequence") {
+      const code = await this.runSequenceItem(item, {
+        arch: options.arch,
+        menuPath,
+        interactive: false,
+        confirm: options.confirm
+      });
+      return code === null ? 1 : code;
+    }
+
+    const code = await this.runExecutableItem(item, {
+      arch: options.arch,
+      params: options.params,
+      menuPath,
+      interactive: false
+    });
+    return code === null ? 1 : code;
+  }
+
   /**
    * 显示当前菜单并处理用户输入
    * 
@@ -102,9 +964,20 @@ class ApplicationController {
   async showCurrentMenu() {
     // 显示欢迎信息
     const currentPackageInfo = await this.getToolPackageInfo(this.toolPackageDir);
-    console.log("\x1b[33m欢迎使用 Universal Tool Framework v2.0!\x1b[0m");
-    console.log(`\x1b[36m当前工具包: ${currentPackageInfo.name} (版本: ${currentPackageInfo.version})\x1b[0m`);
-    console.log("\x1b[32m提示: 按 'p' 键切换工具包\x1b[0m");
+    this.print(colorize("title", t("app.welcome")));
+    this.print(colorize("info", t("app.currentPackage", { name: currentPackageInfo.name, version: currentPackageInfo.version })));
+    this.print(colorize("hint", t("app.keyHints")));
+    
+    // 方向键模式下收藏操作后保持高亮位置并显示结果
+    let menuOptions = {};
+
+    // 启动时检查已保存的工具包，有问题时提示用户在工具包选择菜单中查看和清理
+    const brokenCount = (await this.checkToolPackages()).filter(p => p.health.status !== "ok").length;
+    if (brokenCount > 0) {
+      const warning = colorize("warning", t("health.startupWarning", { count: brokenCount }));
+      this.print(warning);
+      menuOptions = { message: warning };
+    }
     
     while (true) {
       try {
@@ -118,8 +991,8 @@ class ApplicationController {
           this.menuController.displayCurrentMenu();
 
           const rl = readline.createInterface({
-            input: process.stdin,
-            output: process.stdout,
+            input: getInput(),
+            output: getOutput(),
           });
 
           const answer = await new Promise((resolve) => {
@@ -143,6 +1016,38 @@ class ApplicationController {
             continue; // 如果是导航命令，继续循环
           }
           
+          // 检查搜索命令，支持 "/关键字" 直接搜索
+          if (answer.startsWith("/")) {
+            await this.showSearch(answer.slice(1).trim());
+            continue;
+          }
+          
+          // 检查运行记录命令
+          if (answer.toLowerCase() === "h") {
+            await this.showHistory();
+            continue;
+          }
+          
+          // 检查输出日志命令
+          if (answer.toLowerCase() === "l") {
+            await this.showLastLog();
+            continue;
+          }
+          
+          // 检查刷新动态菜单命令
+          if (answer.toLowerCase() === "r") {
+            await this.refreshCurrentMenu();
+            continue;
+          }
+          
+          // 检查收藏命令，例如 "f 2"
+          const favoriteMatch = answer.match(/^f\s*(-?\d+)$/i);
+          if (favoriteMatch) {
+            this.print(this.toggleFavorite(parseInt(favoriteMatch[1])));
+            await UIHandler.waitForEnter();
+            continue;
+          }
+          
           // 检查工具包切换命令
           if (answer.toLowerCase() === "p") {
             const selectedPath = await this.showToolPackageSelector();
@@ -155,7 +1060,7 @@ class ApplicationController {
           }
 
           if (!answer || answer === "") {
-            console.log("\x1b[31m输入不能为空！\x1b[0m");
+            this.print(colorize("error", t("app.emptyInput")));
             await UIHandler.waitForEnter();
             continue;
           }
@@ -163,13 +1068,14 @@ class ApplicationController {
           userChoice = parseInt(answer);
 
           if (isNaN(userChoice)) {
-            console.log("\x1b[31m输入无效，请输入一个数字！\x1b[0m");
+            this.print(colorize("error", t("app.notANumber")));
             await UIHandler.waitForEnter();
             continue;
           }
         } else {
           // 使用交互式菜单（支持方向键）
-          userChoice = await this.menuController.displayInteractiveCurrentMenu();
+          userChoice = await this.menuController.displayInteractiveCurrentMenu(menuOptions);
+          menuOptions = {};
 
           // 如果用户按q返回上级菜单
           if (userChoice === 'q') {
@@ -183,6 +1089,36 @@ class ApplicationController {
             continue;
           }
           
+          // 如果用户按/键搜索菜单项
+          if (userChoice === '/') {
+            await this.showSearch();
+            continue;
+          }
+          
+          // 如果用户按h键查看运行记录
+          if (userChoice === 'h') {
+            await this.showHistory();
+            continue;
+          }
+          
+          // 如果用户按l键查看最近的输出日志
+          if (userChoice === 'l') {
+            await this.showLastLog();
+            continue;
+          }
+          
+          // 如果用户按r键刷新动态菜单
+          if (userChoice === 'r') {
+            await this.refreshCurrentMenu();
+            continue;
+          }
+          
+          // 如果用户按f键收藏或取消收藏高亮的菜单项
+          if (userChoice && userChoice.action === 'f') {
+            menuOptions = { initialId: userChoice.id, message: this.toggleFavorite(userChoice.id) };
+            continue;
+          }
+          
           // 如果用户按p键切换工具包
           if (userChoice === 'p') {
             const selectedPath = await this.showToolPackageSelector();
@@ -194,8 +1130,8 @@ class ApplicationController {
             continue;
           }
 
-          if (!userChoice) {
-            console.log("\x1b[31m输入不能为空！\x1b[0m");
+          if (userChoice === null || userChoice === undefined) {
+            this.print(colorize("error", t("app.emptyInput")));
             await UIHandler.waitForEnter();
             continue;
           }
@@ -203,12 +1139,47 @@ class ApplicationController {
 
         await this.handleUserChoice(userChoice);
       } catch (error) {
-        console.log("\x1b[31m发生错误: " + error.message + "\x1b[0m");
+        this.print(colorize("error", t("app.error", { error: error.message })));
         await UIHandler.waitForEnter();
       }
     }
   }
 
+  /**
+   * 获取已保存的配置路径
+   * 
+   * 工具包列表中设置了启动默认工具包时优先使用，否则使用上次使用的工具包
+   * 
+   * @returns {string|null} 已保存且仍然有效的配置目录路径，不存在时返回null
+   */
+  getSavedConfigPath() {
+    const defaultPackage = this.readToolPackageList().find(p => p.default);
+    if (defaultPackage) {
+      const defaultConfigDir = this.resolveConfigDir(defaultPackage.path);
+      if (fs.existsSync(path.join(defaultConfigDir, "menu.json"))) {
+        return defaultConfigDir;
+      }
+    }
+
+    const configPathFile = path.join(this.userDataPath, 'config_path.json');
+    
+    if (fs.existsSync(configPathFile)) {
+      try {
+        const savedConfig = JSON.parse(fs.readFileSync(configPathFile, 'utf8'));
+        const savedPath = savedConfig.path;
+        
+        // 检查保存的路径是否仍然有效
+        if (savedPath && fs.existsSync(savedPath)) {
+          return savedPath;
+        }
+      } catch (error) {
+        this.printError(colorize("warning", t("app.configPathParseFailed")));
+      }
+    }
+    
+    return null;
+  }
+
   /**
    * 获取用户配置路径
    * 
@@ -218,26 +1189,30 @@ class ApplicationController {
    */
   async getUserConfigPath() {
     // 检查是否已保存过配置路径
-    const userDataPath = path.join(os.homedir(), '.ut-framework');
-    const configPathFile = path.join(userDataPath, 'config_path.json');
-    
-    if (fs.existsSync(configPathFile)) {
-      try {
-        const savedConfig = JSON.parse(fs.readFileSync(configPathFile, 'utf8'));
-        const savedPath = savedConfig.path;
-        
-        // 检查保存的路径是否仍然有效
-        if (fs.existsSync(savedPath)) {
-          return savedPath;
-        }
-      } catch (error) {
-        console.log('\x1b[33m配置路径文件解析失败，将重新设置...\x1b[0m');
-      }
+    const savedPath = this.getSavedConfigPath();
+    if (savedPath) {
+      return savedPath;
     }
     
     // 首次运行或路径无效，提示用户输入
+    const configPathFile = path.join(this.userDataPath, 'config_path.json');
     return await this.promptForConfigPath(configPathFile);
   }
+
+  /**
+   * 获取工具包的配置目录
+   * 
+   * 路径下直接存在 menu.json 时视为配置目录，否则使用其下的 config 子目录
+   * 
+   * @param {string} packagePath - 工具包路径或配置目录路径
+   * @returns {string} 配置目录路径
+   */
+  resolveConfigDir(packagePath) {
+    if (fs.existsSync(path.join(packagePath, "menu.json"))) {
+      return packagePath;
+    }
+    return path.join(packagePath, "config");
+  }
   
   /**
    * 获取所有保存的工具包列表
@@ -245,16 +1220,24 @@ class ApplicationController {
    * @returns {Promise<Array>} 已保存的工具包列表
    */
   async getSavedToolPackages() {
-    const userDataPath = path.join(os.homedir(), '.ut-framework');
-    const configPathFile = path.join(userDataPath, 'config_path.json');
-    const packagesPathFile = path.join(userDataPath, 'tool_packages.json');
+    return this.readToolPackageList();
+  }
+
+  /**
+   * 读取 tool_packages.json 中的工具包列表
+   * 
+   * @returns {Array} 已保存的工具包列表，文件不存在或解析失败时返回空数组
+   */
+  readToolPackageList() {
+    const packagesPathFile = path.join(this.userDataPath, 'tool_packages.json');
     
     if (fs.existsSync(packagesPathFile)) {
       try {
         const savedPackages = JSON.parse(fs.readFileSync(packagesPathFile, 'utf8'));
         return savedPackages.packages || [];
       } catch (error) {
-        console.log('\x1b[33m工具包列表文件解析失败\x1b[0m');
+        // 警告输出到标准错误，避免混入 utf packages --json 的输出
+        this.printError(colorize("warning", t("app.packageListParseFailed")));
       }
     }
     
@@ -268,30 +1251,24 @@ class ApplicationController {
    * @returns {Promise<Object>} 包含工具包名称和版本的对象
    */
   async getToolPackageInfo(packagePath) {
-    let configDir;
-    if (fs.existsSync(path.join(packagePath, "menu.json"))) {
-      configDir = packagePath;
-    } else {
-      configDir = path.join(packagePath, "config");
-    }
+    const configDir = this.resolveConfigDir(packagePath);
     
     try {
       const settingsConfigPath = path.join(configDir, "settings.json");
       if (fs.existsSync(settingsConfigPath)) {
-        const settingsConfigContent = fs.readFileSync(settingsConfigPath, "utf8");
-        const settingsConfig = JSON.parse(settingsConfigContent);
+        const settingsConfig = new ConfigHandler(settingsConfigPath).getConfig();
         
         const name = settingsConfig.app?.name || path.basename(packagePath);
-        const version = settingsConfig.app?.version || "未知版本";
+        const version = settingsConfig.app?.version || t("app.unknownVersion");
         
         return { name, version };
       } else {
         // 如果没有 settings.json，则使用路径名作为名称
-        return { name: path.basename(packagePath), version: "未知版本" };
+        return { name: path.basename(packagePath), version: t("app.unknownVersion") };
       }
     } catch (error) {
-      console.log(`\x1b[33m无法读取工具包信息: ${error.message}\x1b[0m`);
-      return { name: path.basename(packagePath), version: "未知版本" };
+      this.printError(colorize("warning", t("app.packageInfoFailed", { error: error.message })));
+      return { name: path.basename(packagePath), version: t("app.unknownVersion") };
     }
   }
   
@@ -302,17 +1279,16 @@ class ApplicationController {
    * @returns {Promise<void>}
    */
   async saveToolPackages(packages) {
-    const userDataPath = path.join(os.homedir(), '.ut-framework');
-    const packagesPathFile = path.join(userDataPath, 'tool_packages.json');
+    const packagesPathFile = path.join(this.userDataPath, 'tool_packages.json');
     
     try {
-      if (!fs.existsSync(userDataPath)) {
-        fs.mkdirSync(userDataPath, { recursive: true });
+      if (!fs.existsSync(this.userDataPath)) {
+        fs.mkdirSync(this.userDataPath, { recursive: true });
       }
       
       fs.writeFileSync(packagesPathFile, JSON.stringify({ packages }, null, 2));
     } catch (error) {
-      console.log(`\x1b[31m保存工具包列表失败 - ${error.message}\x1b[0m`);
+      this.printError(colorize("error", t("app.savePackageListFailed", { error: error.message })));
     }
   }
   
@@ -341,7 +1317,7 @@ class ApplicationController {
    * 添加工具包到保存列表
    * 
    * @param {string} packagePath - 要添加的工具包路径
-   * @param {string} packageName - 要添加的工具包名称
+   * @param {string} packageName - 要添加的工具包名称，未提供时已保存的工具包保持原名称
    * @returns {Promise<void>}
    */
   async addToolPackage(packagePath, packageName = null) {
@@ -354,14 +1330,16 @@ class ApplicationController {
     const rootPath = this.getToolPackageRootPath(packagePath);
     const normalizedRootPath = path.resolve(rootPath);
     
-    // 检查是否已存在相同的根路径（规范化后），如果存在则更新名称
+    // 检查是否已存在相同的根路径（规范化后），如果存在且提供了名称则更新名称
     const existingIndex = packages.findIndex(p => {
       const existingRootPath = this.getToolPackageRootPath(p.path);
       return path.resolve(existingRootPath) === normalizedRootPath;
     });
     
     if (existingIndex !== -1) {
-      packages[existingIndex].name = name;
+      if (packageName) {
+        packages[existingIndex].name = packageName;
+      }
     } else {
       // 添加新的工具包
       packages.push({ path: packagePath, name, added: new Date().toISOString() });
@@ -369,7 +1347,81 @@ class ApplicationController {
     
     await this.saveToolPackages(packages);
   }
-  
+
+  /**
+   * 从保存列表中移除工具包
+   * 
+   * @param {string} packagePath - 要移除的工具包路径
+   * @returns {Promise<boolean>} 列表中存在该工具包时返回true
+   */
+  async removeToolPackage(packagePath) {
+    const packages = await this.getSavedToolPackages();
+    const normalizedRootPath = path.resolve(this.getToolPackageRootPath(packagePath));
+
+    const remainingPackages = packages.filter(p =>
+      path.resolve(this.getToolPackageRootPath(p.path)) !== normalizedRootPath
+    );
+
+    if (remainingPackages.length === packages.length) {
+      return false;
+    }
+
+    await this.saveToolPackages(remainingPackages);
+    return true;
+  }
+
+  /**
+   * 检查已保存的工具包的状态
+   * 
+   * @returns {Promise<Array>} 工具包列表，每个工具包附加 health 字段（见 checkPackageHealth）
+   */
+  async checkToolPackages() {
+    const packages = await this.getSavedToolPackages();
+    return packages.map(pkg => ({ ...pkg, health: checkPackageHealth(pkg.path, this.resolveConfigDir(pkg.path)) }));
+  }
+
+  /**
+   * 从保存列表中移除所有有问题的工具包
+   * 
+   * @returns {Promise<Array>} 被移除的工具包，附加 health 字段
+   */
+  async removeBrokenToolPackages() {
+    const checked = await this.checkToolPackages();
+    const broken = checked.filter(p => p.health.status !== "ok");
+
+    if (broken.length > 0) {
+      const remaining = checked.filter(p => p.health.status === "ok").map(({ health, ...pkg }) => pkg);
+      await this.saveToolPackages(remaining);
+    }
+    return broken;
+  }
+
+  /**
+   * 设置启动时默认使用的工具包
+   * 
+   * 设置后启动时总是使用该工具包，不再使用上次使用的工具包
+   * 
+   * @param {string|null} packagePath - 工具包路径，为null时取消设置
+   * @returns {Promise<boolean>} 设置成功时返回true，工具包不在列表中时返回false
+   */
+  async setDefaultToolPackage(packagePath) {
+    const packages = await this.getSavedToolPackages();
+    const normalizedRootPath = packagePath ? path.resolve(this.getToolPackageRootPath(packagePath)) : null;
+    const index = packages.findIndex(p => path.resolve(this.getToolPackageRootPath(p.path)) === normalizedRootPath);
+
+    if (packagePath && index === -1) {
+      return false;
+    }
+
+    packages.forEach(p => delete p.default);
+    if (index !== -1) {
+      packages[index].default = true;
+    }
+
+    await this.saveToolPackages(packages);
+    return true;
+  }
+
   /**
    * 切换到指定的工具包
    * 
@@ -378,56 +1430,87 @@ class ApplicationController {
    */
   async switchToToolPackage(packagePath) {
     // 验证路径是否有效
-    let configDir;
-    if (fs.existsSync(path.join(packagePath, "menu.json"))) {
-      configDir = packagePath;
-    } else {
-      configDir = path.join(packagePath, "config");
-    }
+    const configDir = this.resolveConfigDir(packagePath);
     
     // 验证路径
     if (!fs.existsSync(configDir) || !fs.statSync(configDir).isDirectory()) {
-      console.log("\x1b[31m错误：指定路径下不存在 config 目录！\x1b[0m");
+      this.print(colorize("error", t("app.configDirMissing")));
       return false;
     }
     
     // 验证 menu.json 是否存在
     const menuPath = path.join(configDir, "menu.json");
     if (!fs.existsSync(menuPath)) {
-      console.log("\x1b[31m错误：config 目录中不存在 menu.json 文件！\x1b[0m");
+      this.print(colorize("error", t("app.menuFileMissing")));
+      return false;
+    }
+    
+    // 重新初始化配置（校验失败时保持当前工具包不变）
+    try {
+      await this.showCompatibilityWarnings(this.loadToolPackage(configDir));
+    } catch (error) {
+      this.print(colorize("error", error.message));
+      await UIHandler.waitForEnter();
       return false;
     }
     
     // 保存当前配置路径
-    const userDataPath = path.join(os.homedir(), '.ut-framework');
-    const configPathFile = path.join(userDataPath, 'config_path.json');
+    this.saveConfigPath(configDir);
+    
+    return true;
+  }
+
+  /**
+   * 保存配置路径，下次启动时默认使用该工具包
+   * 
+   * @param {string} configDir - 配置目录路径
+   * @returns {boolean} 保存成功时返回true
+   */
+  saveConfigPath(configDir) {
+    const configPathFile = path.join(this.userDataPath, 'config_path.json');
     
     try {
-      const userDataDir = path.dirname(configPathFile);
-      if (!fs.existsSync(userDataDir)) {
-        fs.mkdirSync(userDataDir, { recursive: true });
+      if (!fs.existsSync(this.userDataPath)) {
+        fs.mkdirSync(this.userDataPath, { recursive: true });
       }
       fs.writeFileSync(configPathFile, JSON.stringify({ path: configDir }, null, 2));
+      return true;
     } catch (error) {
-      console.log(`\x1b[31m警告：无法保存配置路径 - ${error.message}\x1b[0m`);
+      this.print(colorize("error", t("app.saveConfigPathFailed", { error: error.message })));
       return false;
     }
-    
-    // 重新初始化配置
-    this.configDir = configDir;
-    this.toolPackageDir = path.dirname(configDir);
-    
-    this.configHandler = new ConfigHandler(path.join(configDir, "menu.json"));
-    this.config = this.configHandler.getConfig();
+  }
 
+  /**
+   * 加载工具包配置
+   * 
+   * 校验并读取指定配置目录中的 menu.json 和 settings.json，并重建菜单控制器
+   * 
+   * 工具包声明的框架版本范围或功能与当前框架不兼容时，默认拒绝加载；
+   * settings.json 中 app.compatibility 为 "warn" 时继续加载，并返回不兼容的原因
+   * 
+   * @param {string} configDir - 配置目录路径
+   * @returns {string[]} 兼容性警告，为空表示完全兼容
+   * @throws {ConfigValidationError} 工具包配置校验失败或与当前框架不兼容时抛出，此时不会修改当前状态
+   */
+  loadToolPackage(configDir) {
     // 加载设置配置
+    let settingsConfig = null;
     try {
-      const settingsConfigPath = path.join(configDir, "settings.json");
-      const settingsConfigContent = fs.readFileSync(settingsConfigPath, "utf8");
-      this.settingsConfig = JSON.parse(settingsConfigContent);
+      settingsConfig = new ConfigHandler(path.join(configDir, "settings.json")).getConfig();
     } catch (error) {
-      // 配置文件不存在或解析失败时使用默认值
-      this.settingsConfig = {
+      // 配置文件不存在或解析失败时使用默认值，解析失败由下面的校验报告
+    }
+
+    const compatibilityProblems = this.checkToolPackageCompatibility(settingsConfig, configDir);
+    const errors = validateToolPackage(configDir);
+    if (errors.length > 0) {
+      // 允许不兼容时也列出不兼容的原因，校验失败可能正是因为工具包使用了新版框架的功能
+      throw new ConfigValidationError([...errors, ...compatibilityProblems]);
+    }
+
+    if (!settingsConfig) {
+      settingsConfig = {
         settings: {
           display_clear: true,
           arch_picker: true,
@@ -435,53 +1518,340 @@ class ApplicationController {
       };
     }
 
+    const configHandler = new ConfigHandler(path.join(configDir, "menu.json"));
+    const warnings = this.applyToolPackage(configDir, configHandler.getConfig(), settingsConfig, compatibilityProblems);
+    this.configHandler = configHandler;
+    return warnings;
+  }
+
+  /**
+   * 从配置对象加载工具包
+   * 
+   * 用于嵌入其他程序时直接提供菜单和设置，不读取 config 目录中的文件；
+   * 工具路径、日志目录和 ${PACKAGE_DIR} 等相对于 baseDir 解析
+   * 
+   * @param {{menu: object, settings?: object}} packageConfig - menu.json 和 settings.json 内容
+   * @param {string} baseDir - 工具包根目录
+   * @returns {string[]} 兼容性警告，为空表示完全兼容
+   * @throws {ConfigValidationError} 配置校验失败或与当前框架不兼容时抛出，此时不会修改当前状态
+   */
+  loadToolPackageConfig(packageConfig, baseDir) {
+    const configDir = path.join(path.resolve(baseDir), "config");
+    const compatibilityProblems = this.checkToolPackageCompatibility(packageConfig.settings, configDir);
+    const errors = validateMenuConfig(packageConfig.menu);
+    if (packageConfig.settings !== undefined) {
+      errors.push(...validateSettingsConfig(packageConfig.settings));
+    }
+    if (errors.length > 0) {
+      throw new ConfigValidationError([...errors, ...compatibilityProblems]);
+    }
+
+    // 没有提供设置时不启用架构选择器，因为没有 arch_picker.json 可供读取
+    const settingsConfig = packageConfig.settings || { settings: { display_clear: true, arch_picker: false } };
+    const warnings = this.applyToolPackage(configDir, packageConfig.menu, settingsConfig, compatibilityProblems);
+    this.configHandler = null;
+    return warnings;
+  }
+
+  /**
+   * 检查工具包要求的框架版本和功能
+   * 
+   * 在完整校验之前执行：为新版框架编写的工具包可能使用当前框架不认识的配置，
+   * 先检查兼容性才能提示需要的框架版本，而不是只报告配置错误
+   * 
+   * @param {*} settingsConfig - settings.json 内容，不存在或格式不正确时不检查
+   * @param {string} configDir - 配置目录路径，用于错误信息中的工具包名称
+   * @returns {string[]} 不兼容的原因（仅在 app.compatibility 为 "warn" 时返回），为空表示兼容
+   * @throws {ConfigValidationError} 不兼容且 app.compatibility 不是 "warn" 时抛出
+   */
+  checkToolPackageCompatibility(settingsConfig, configDir) {
+    const app = settingsConfig && typeof settingsConfig === "object" ? settingsConfig.app : null;
+    if (!app || typeof app !== "object") {
+      return [];
+    }
+
+    const problems = checkCompatibility(app);
+    if (problems.length > 0 && app.compatibility !== "warn") {
+      throw new ConfigValidationError(problems, t("compat.refused", {
+        name: (typeof app.name === "string" && app.name) || path.basename(path.dirname(configDir))
+      }));
+    }
+    return problems;
+  }
+
+  /**
+   * 使用已校验的配置切换当前工具包
+   * 
+   * @param {string} configDir - 配置目录路径
+   * @param {object} config - 菜单配置
+   * @param {object} settingsConfig - 设置配置
+   * @param {string[]} [compatibilityProblems] - checkToolPackageCompatibility 返回的兼容性警告
+   * @returns {string[]} 兼容性警告，为空表示完全兼容
+   */
+  applyToolPackage(configDir, config, settingsConfig, compatibilityProblems = []) {
+    this.configDir = configDir;
+    this.settingsConfig = settingsConfig;
+    
+    // 获取工具包根目录
+    this.toolPackageDir = path.dirname(configDir);
+    
+    this.config = config;
+
+    // 按工具包设置切换界面语言、主题和按键绑定，未设置时根据系统区域设置选择语言并使用默认主题和按键；
+    // isolated 时只修改本实例的界面上下文，同一进程中的其他实例不受影响
+    if (this.isolated) {
+      this.uiContext.language = resolveLanguage(this.settingsConfig.settings?.language);
+      this.uiContext.theme = createTheme(this.settingsConfig.theme);
+      this.uiContext.keymap = createKeymap(this.settingsConfig.keymap);
+    } else {
+      setLanguage(this.settingsConfig.settings?.language);
+      setTheme(this.settingsConfig.theme);
+      setKeymap(this.settingsConfig.keymap);
+    }
+
     this.menuController = new MenuController(this.config, this.configDir);
-    return true;
+    this.menuController.setSettingsConfig(this.settingsConfig);
+    this.menuController.setFavorites(this.favoritesManager.getFavorites(path.resolve(this.configDir)));
+
+    return compatibilityProblems;
+  }
+
+  /**
+   * 显示工具包的兼容性警告
+   * 
+   * @param {string[]} warnings - loadToolPackage 返回的兼容性警告
+   * @param {boolean} [interactive=true] - 是否为交互模式，交互模式下显示后等待用户按回车
+   */
+  async showCompatibilityWarnings(warnings, interactive = true) {
+    if (warnings.length === 0) {
+      return;
+    }
+
+    this.print(colorize("warning", t("compat.warning", {
+      name: this.settingsConfig.app?.name || path.basename(this.toolPackageDir)
+    })));
+    warnings.forEach(warning => this.print(colorize("warning", `  - ${warning}`)));
+    if (interactive) {
+      await UIHandler.waitForEnter();
+    }
+  }
+
+  /**
+   * 收藏或取消收藏当前菜单中的菜单项
+   * 
+   * 收藏按工具包保存在用户数据目录中，不会修改工具包的 menu.json
+   * 
+   * @param {number} itemId - 当前菜单中的菜单项ID
+   * @returns {string} 操作结果的提示信息
+   */
+  toggleFavorite(itemId) {
+    const menuId = this.menuController.getCurrentMenu();
+    const menuItem = this.menuController.getMenuItem(menuId, itemId);
+    const target = this.menuController.getFavoriteTarget(menuId, menuItem);
+
+    if (!target) {
+      return colorize("error", t("favorites.notPinnable"));
+    }
+
+    const packageKey = path.resolve(this.configDir);
+    const pinned = this.favoritesManager.toggleFavorite(packageKey, target.menu, target.id);
+    this.menuController.setFavorites(this.favoritesManager.getFavorites(packageKey));
+
+    // 取消最后一个收藏后收藏夹菜单不再存在，返回上级菜单
+    if (menuId === FAVORITES_MENU_ID && !this.menuController.config.menu[FAVORITES_MENU_ID]) {
+      this.menuController.goBack();
+    }
+
+    const itemName = this.menuController.getMenuItem(target.menu, target.id).name.trim();
+    return pinned
+      ? colorize("success", t("favorites.pinned", { name: itemName }))
+      : colorize("warning", t("favorites.unpinned", { name: itemName }));
   }
   
   /**
    * 显示工具包选择菜单
    * 
+   * 选择菜单中可以移除、重命名、移动工具包和设置启动默认工具包，操作完成后重新显示选择菜单
+   * 
    * @returns {Promise<string>} 用户选择的工具包路径
    */
   async showToolPackageSelector() {
-    const packages = await this.getSavedToolPackages();
     const inputMethod = this.settingsConfig.settings?.input_method || 'num_input';
+    let selectorOptions = {};
     
-    if (inputMethod === 'arrow_input') {
-      // 使用方向键选择工具包
-      return await this.showToolPackageSelectorWithArrows(packages);
-    } else {
-      // 使用数字输入方式
-      return await this.showToolPackageSelectorWithNumbers(packages);
+    while (true) {
+      const packages = await this.getSavedToolPackages();
+      let choice;
+      if (inputMethod === 'arrow_input') {
+        // 使用方向键选择工具包
+        choice = await this.showToolPackageSelectorWithArrows(packages, selectorOptions);
+      } else {
+        // 使用数字输入方式
+        choice = await this.showToolPackageSelectorWithNumbers(packages, selectorOptions);
+      }
+
+      if (!choice || typeof choice === "string") {
+        return choice;
+      }
+
+      selectorOptions = await this.manageToolPackage(packages, choice.action, choice.index);
+    }
+  }
+
+  /**
+   * 生成工具包选择菜单中的工具包显示文本
+   * 
+   * 当前使用的工具包和启动默认工具包后面显示标记，有问题的工具包显示检查结果
+   * 
+   * @param {object} pkg - 工具包列表中的工具包
+   * @returns {Promise<string>} 显示文本
+   */
+  async formatToolPackageEntry(pkg) {
+    const health = checkPackageHealth(pkg.path, this.resolveConfigDir(pkg.path));
+    if (health.status !== "ok") {
+      // 有问题的工具包不读取 settings.json，直接显示问题
+      const entry = t("package.entry", { name: pkg.name || path.basename(pkg.path), version: t("app.unknownVersion"), path: pkg.path });
+      return `${entry} ${colorize("error", `[${describePackageHealth(health)}]`)}`;
+    }
+
+    const pkgInfo = await this.getToolPackageInfo(pkg.path);
+    const rootPath = path.resolve(this.getToolPackageRootPath(pkg.path));
+    const markers = [];
+    if (this.toolPackageDir && path.resolve(this.toolPackageDir) === rootPath) {
+      markers.push(t("package.currentMarker"));
+    }
+    if (pkg.default) {
+      markers.push(t("package.defaultMarker"));
+    }
+
+    const entry = t("package.entry", { name: pkg.name || pkgInfo.name, version: pkgInfo.version, path: pkg.path });
+    return markers.length > 0 ? `${entry} ${colorize("info", markers.map(marker => `[${marker}]`).join(" "))}` : entry;
+  }
+
+  /**
+   * 执行工具包选择菜单中的管理操作
+   * 
+   * @param {Array} packages - 工具包列表
+   * @param {string} action - 操作名称：remove、rename、move_up、move_down、set_default 或 clean
+   * @param {number} index - 工具包在列表中的位置（从0开始），clean 操作不使用
+   * @returns {Promise<{initialId: number, message: string}>} 重新显示选择菜单时高亮的工具包和提示信息
+   */
+  async manageToolPackage(packages, action, index) {
+    if (action === "clean") {
+      return { message: await this.cleanToolPackages() };
+    }
+
+    const pkg = packages[index];
+    if (!pkg) {
+      return { message: colorize("error", t("app.invalidChoice")) };
+    }
+
+    const name = pkg.name || path.basename(pkg.path);
+    let initialId = index + 1;
+    let message;
+
+    switch (action) {
+      case "remove": {
+        const answer = await UIHandler.question(colorize("warning", t("package.confirmRemove", { name })));
+        if (!["y", "yes"].includes(answer.toLowerCase())) {
+          message = colorize("warning", t("package.removeCancelled"));
+          break;
+        }
+        packages.splice(index, 1);
+        await this.saveToolPackages(packages);
+        initialId = Math.min(index + 1, Math.max(1, packages.length));
+        message = colorize("success", t("package.removed", { name }));
+        break;
+      }
+      case "rename": {
+        const newName = await UIHandler.question(t("package.renamePrompt", { name }));
+        if (!newName) {
+          message = colorize("warning", t("package.renameCancelled"));
+          break;
+        }
+        pkg.name = newName;
+        await this.saveToolPackages(packages);
+        message = colorize("success", t("package.renamed", { oldName: name, name: newName }));
+        break;
+      }
+      case "move_up":
+      case "move_down": {
+        const target = action === "move_up" ? index - 1 : index + 1;
+        if (target < 0 || target >= packages.length) {
+          break;
+        }
+        [packages[index], packages[target]] = [packages[target], packages[index]];
+        await this.saveToolPackages(packages);
+        initialId = target + 1;
+        break;
+      }
+      case "set_default":
+        // 已经是启动默认工具包时取消设置，恢复为使用上次使用的工具包
+        if (pkg.default) {
+          await this.setDefaultToolPackage(null);
+          message = colorize("success", t("package.defaultCleared", { name }));
+        } else {
+          await this.setDefaultToolPackage(pkg.path);
+          message = colorize("success", t("package.defaultSet", { name }));
+        }
+        break;
+      default:
+        break;
     }
+
+    return { initialId, message };
   }
   
+  /**
+   * 确认后从工具包列表中移除所有有问题的工具包
+   * 
+   * @returns {Promise<string>} 操作结果的提示信息
+   */
+  async cleanToolPackages() {
+    const brokenCount = (await this.checkToolPackages()).filter(p => p.health.status !== "ok").length;
+    if (brokenCount === 0) {
+      return colorize("success", t("health.nothingToClean"));
+    }
+
+    const answer = await UIHandler.question(colorize("warning", t("health.confirmClean", { count: brokenCount })));
+    if (!["y", "yes"].includes(answer.toLowerCase())) {
+      return colorize("warning", t("health.cleanCancelled"));
+    }
+
+    const removed = await this.removeBrokenToolPackages();
+    return colorize("success", t("health.cleaned", { count: removed.length }));
+  }
+
   /**
    * 使用数字输入方式显示工具包选择菜单
    * 
+   * 除了输入编号选择工具包，还可以输入 "操作 编号" 管理工具包，例如 "d 2" 移除第2个工具包
+   * 
    * @param {Array} packages - 工具包列表
-   * @returns {Promise<string>} 用户选择的工具包路径
+   * @param {object} [options] - 显示选项，message 为显示在标题下方的提示信息
+   * @returns {Promise<string|{action: string, index: number}|null>} 用户选择的工具包路径、管理操作，取消时返回null
    */
-  async showToolPackageSelectorWithNumbers(packages) {
+  async showToolPackageSelectorWithNumbers(packages, options = {}) {
     if (packages.length === 0) {
-      console.log("\x1b[33m没有保存的工具包\x1b[0m");
+      this.print(colorize("warning", t("package.noSavedPackages")));
       return null;
     }
-    console.log("\n\x1b[36mUniversal Tool Framework - 工具包选择\x1b[0m\n");
+    this.print(`\n${colorize("title", `Universal Tool Framework - ${t("package.selectTitle")}`)}\n`);
+    if (options.message) {
+      this.print(`${options.message}\n`);
+    }
     
     // 显示每个工具包的名称和版本
     for (let i = 0; i < packages.length; i++) {
-      const pkg = packages[i];
-      const pkgInfo = await this.getToolPackageInfo(pkg.path);
-      console.log(`| ${i + 1} |→ ${pkgInfo.name} (版本: ${pkgInfo.version}) [${pkg.path}]`);
+      this.print(`| ${i + 1} |→ ${await this.formatToolPackageEntry(packages[i])}`);
     }
     
-    console.log(`| ${packages.length + 1} |→ 添加工具包`);
+    this.print(`| ${packages.length + 1} |→ ${t("package.add")}`);
+    this.print(colorize("hint", `\n${t("package.numberHints")}`));
     
     const rl = readline.createInterface({
-      input: process.stdin,
-      output: process.stdout,
+      input: getInput(),
+      output: getOutput(),
     });
 
     const answer = await new Promise((resolve) => {
@@ -490,18 +1860,30 @@ class ApplicationController {
         resolve(input ? input.trim() : "");
       });
     });
+
+    // 清理有问题的工具包
+    if (answer.toLowerCase() === "c") {
+      return { action: "clean", index: -1 };
+    }
+
+    // 管理操作：d 移除，e 重命名，< 上移，> 下移，s 设为启动默认
+    const actionMatch = answer.match(/^([des<>])\s*(\d+)$/i);
+    if (actionMatch) {
+      const actions = { d: "remove", e: "rename", "<": "move_up", ">": "move_down", s: "set_default" };
+      return { action: actions[actionMatch[1].toLowerCase()], index: parseInt(actionMatch[2]) - 1 };
+    }
     
     const choice = parseInt(answer);
     
     if (choice === packages.length + 1) {
       // 添加新工具包
       return await this.promptForConfigPath(
-        path.join(path.join(os.homedir(), '.ut-framework'), 'config_path.json')
+        path.join(this.userDataPath, 'config_path.json')
       );
     } else if (choice > 0 && choice <= packages.length) {
       return packages[choice - 1].path;
     } else {
-      console.log("\x1b[31m无效的选择！\x1b[0m");
+      this.print(colorize("error", t("app.invalidChoice")));
       await UIHandler.waitForEnter();
       return null;
     }
@@ -510,15 +1892,18 @@ class ApplicationController {
   /**
    * 使用方向键显示工具包选择菜单
    * 
+   * 高亮工具包时可以按键移除、重命名、移动工具包或设置启动默认工具包，按键可以在 keymap 中修改
+   * 
    * @param {Array} packages - 工具包列表
-   * @returns {Promise<string>} 用户选择的工具包路径
+   * @param {object} [options] - 显示选项，initialId 为初始高亮的工具包，message 为显示在标题下方的提示信息
+   * @returns {Promise<string|{action: string, index: number}|null>} 用户选择的工具包路径、管理操作，取消时返回null
    */
-  async showToolPackageSelectorWithArrows(packages) {
+  async showToolPackageSelectorWithArrows(packages, options = {}) {
     if (packages.length === 0) {
-      console.log("\x1b[33m没有保存的工具包\x1b[0m");
+      this.print(colorize("warning", t("package.noSavedPackages")));
       // 直接添加新工具包
       return await this.promptForConfigPath(
-        path.join(path.join(os.homedir(), '.ut-framework'), 'config_path.json')
+        path.join(this.userDataPath, 'config_path.json')
       );
     }
     
@@ -528,10 +1913,9 @@ class ApplicationController {
     // 添加已保存的工具包
     for (let i = 0; i < packages.length; i++) {
       const pkg = packages[i];
-      const pkgInfo = await this.getToolPackageInfo(pkg.path);
       menuItems.push({
         id: i + 1,
-        name: `${pkgInfo.name} (版本: ${pkgInfo.version}) [${pkg.path}]`,
+        name: await this.formatToolPackageEntry(pkg),
         path: pkg.path
       });
     }
@@ -539,24 +1923,38 @@ class ApplicationController {
     // 添加"添加新工具包"选项
     menuItems.push({
       id: packages.length + 1,
-      name: "添加新工具包",
+      name: t("package.addNew"),
       action: 'add'
     });
     
     // 使用 UIHandler 的方向键选择功能
     const UIHandler = require('./uiHandler');
-    const selectedId = await UIHandler.selectWithArrowKeys(menuItems, "\nUniversal Tool Framework - 工具包选择\n", this.configDir);
+    const selectedId = await UIHandler.selectWithArrowKeys(
+      menuItems,
+      `\nUniversal Tool Framework - ${t("package.selectTitle")}\n${colorize("hint", t("package.arrowHints"))}\n`,
+      this.configDir,
+      {
+        initialId: options.initialId,
+        message: options.message,
+        itemActions: ["remove", "rename", "move_up", "move_down", "set_default", "clean"]
+      }
+    );
     
     if (selectedId === 'q' || selectedId === 'm') {
       return null; // 返回上级或主菜单时取消
     }
+
+    // 管理操作，"添加新工具包"选项上的操作由 manageToolPackage 提示无效
+    if (selectedId && selectedId.action) {
+      return { action: selectedId.action, index: selectedId.id - 1 };
+    }
     
     const selectedItem = menuItems.find(item => item.id === selectedId);
     if (selectedItem) {
       if (selectedItem.action === 'add') {
         // 添加新工具包
         return await this.promptForConfigPath(
-          path.join(path.join(os.homedir(), '.ut-framework'), 'config_path.json')
+          path.join(this.userDataPath, 'config_path.json')
         );
       } else if (selectedItem.path) {
         return selectedItem.path; // 返回工具包路径
@@ -575,19 +1973,19 @@ class ApplicationController {
    * @returns {Promise<string>} 用户输入的配置目录路径
    */
   async promptForConfigPath(configPathFile) {
-    console.log("\x1b[36m首次启动：请指定工具包路径\x1b[0m");
+    this.print(colorize("title", t("package.firstRun")));
     
     const rl = readline.createInterface({
-      input: process.stdin,
-      output: process.stdout
+      input: getInput(),
+      output: getOutput()
     });
     
     const configPath = await new Promise((resolve) => {
-      rl.question("请输入工具包路径: ", (input) => {
+      rl.question(t("package.pathPrompt"), (input) => {
         rl.close();
         const pathInput = input.trim();
         if (!pathInput) {
-          console.log("\x1b[31m路径不能为空！\x1b[0m");
+          this.print(colorize("error", t("package.pathEmpty")));
           resolve(this.promptForConfigPath(configPathFile)); // 递归调用
           return;
         }
@@ -605,7 +2003,7 @@ class ApplicationController {
         
         // 验证路径
         if (!fs.existsSync(configDir) || !fs.statSync(configDir).isDirectory()) {
-          console.log("\x1b[31m错误：指定路径下不存在 config 目录！\x1b[0m");
+          this.print(colorize("error", t("app.configDirMissing")));
           resolve(this.promptForConfigPath(configPathFile)); // 递归调用
           return;
         }
@@ -613,7 +2011,7 @@ class ApplicationController {
         // 验证 menu.json 是否存在
         const menuPath = path.join(configDir, "menu.json");
         if (!fs.existsSync(menuPath)) {
-          console.log("\x1b[31m错误：config 目录中不存在 menu.json 文件！\x1b[0m");
+          this.print(colorize("error", t("app.menuFileMissing")));
           resolve(this.promptForConfigPath(configPathFile)); // 递归调用
           return;
         }
@@ -626,10 +2024,10 @@ class ApplicationController {
           }
           fs.writeFileSync(configPathFile, JSON.stringify({ path: configDir }, null, 2));
         } catch (error) {
-          console.log(`\x1b[31m警告：无法保存配置路径 - ${error.message}\x1b[0m`);
+          this.print(colorize("error", t("app.saveConfigPathFailed", { error: error.message })));
         }
         
-        console.log("\x1b[32m配置路径已保存！\x1b[0m");
+        this.print(colorize("success", t("package.configPathSaved")));
         
         resolve(configDir);
       });
@@ -646,34 +2044,47 @@ class ApplicationController {
    * 初始化应用程序配置
    * 
    * 加载配置文件和相关组件
+   * 
+   * @param {object} options - 初始化选项
+   * @param {string} [options.packagePath] - 指定的工具包路径，未指定时使用已保存的路径
+   * @param {boolean} [options.interactive=true] - 是否允许在没有已保存路径时提示用户输入
    */
-  async initializeConfig() {
-    const configDir = await this.getUserConfigPath();
-    this.configDir = configDir;
+  async initializeConfig(options = {}) {
+    let configDir;
     
-    // 获取工具包根目录
-    this.toolPackageDir = path.dirname(configDir);
+    if (options.packagePath) {
+      configDir = this.resolveConfigDir(path.resolve(options.packagePath));
+      if (!fs.existsSync(path.join(configDir, "menu.json"))) {
+        throw new Error(t("package.menuFileNotFound", { path: options.packagePath }));
+      }
+    } else if (options.interactive === false) {
+      configDir = this.getSavedConfigPath();
+      if (!configDir) {
+        throw new Error(t("package.notConfigured"));
+      }
+    } else {
+      configDir = await this.getUserConfigPath();
+    }
     
-    this.configHandler = new ConfigHandler(path.join(configDir, "menu.json"));
-    this.config = this.configHandler.getConfig();
+    // 交互模式下工具包校验失败时，提示用户重新指定工具包
+    while (true) {
+      let warnings;
+      try {
+        warnings = this.loadToolPackage(configDir);
+      } catch (error) {
+        if (!(error instanceof ConfigValidationError) || options.interactive === false || options.packagePath) {
+          throw error;
+        }
+        this.print(colorize("error", error.message));
+        configDir = await this.promptForConfigPath(
+          path.join(this.userDataPath, 'config_path.json')
+        );
+        continue;
+      }
 
-    // 加载设置配置
-    try {
-      const settingsConfigPath = path.join(configDir, "settings.json");
-      const settingsConfigContent = fs.readFileSync(settingsConfigPath, "utf8");
-      this.settingsConfig = JSON.parse(settingsConfigContent);
-    } catch (error) {
-      // 配置文件不存在或解析失败时使用默认值
-      this.settingsConfig = {
-        settings: {
-          display_clear: true,
-          arch_picker: true,
-        },
-      };
+      await this.showCompatibilityWarnings(warnings, options.interactive !== false);
+      return;
     }
-
-    this.menuController = new MenuController(this.config, this.configDir);
-    this.menuController.setSettingsConfig(this.settingsConfig);
   }
 
   /**
@@ -1,5 +1,8 @@
 const fs = require('fs');
 const path = require('path');
+const { t } = require('./i18n');
+const { colorize, colorizeLogo } = require('./theme');
+const { getOutput, print } = require('./uiContext');
 
 /**
  * 方向键菜单引擎
@@ -65,17 +68,18 @@ class ArrowMenuEngine {
    * 显示带方向键选择的菜单
    * 
    * @param {string} menuId - 菜单的唯一标识符
+   * @param {object} options - 可选设置，initialId 为初始高亮的菜单项ID，message 为提示信息
    * @returns {Promise<number>} 用户选择的菜单项ID
    */
-  async displayInteractiveMenu(menuId) {
+  async displayInteractiveMenu(menuId, options = {}) {
     const menu = this.config.menu[menuId];
     if (!menu) {
-      console.log('\x1b[31m菜单不存在: ' + menuId + '\x1b[0m');
+      print(colorize('error', t('menu.notFound', { id: menuId })));
       return null;
     }
     
     if (!menu.items || !Array.isArray(menu.items)) {
-      console.log('\x1b[31m菜单项不存在或格式错误\x1b[0m');
+      print(colorize('error', t('menu.itemsInvalid')));
       return null;
     }
     
@@ -83,7 +87,7 @@ class ArrowMenuEngine {
     const UIHandler = require('./uiHandler');
     
     // 使用方向键选择菜单项，传递配置目录
-    const selectedId = await UIHandler.selectWithArrowKeys(menu.items, menu.title, this.configDir);
+    const selectedId = await UIHandler.selectWithArrowKeys(menu.items, menu.title, this.configDir, options);
     return selectedId;
   }
 
@@ -133,7 +137,7 @@ class ArrowMenuEngine {
     
     if (displayClear) {
       // 使用ANSI转义序列清屏，兼容所有平台
-      process.stdout.write('\u001b[2J\u001b[0;0H');
+      getOutput().write('\u001b[2J\u001b[0;0H');
     }
   }
 
@@ -149,13 +153,15 @@ class ArrowMenuEngine {
     if (displayLogoSetting && this.logoSettings.logo_path) {
       try {
         const logoContent = fs.readFileSync(this.logoSettings.logo_path, 'utf-8');
-        console.log(logoContent);
+        print(colorizeLogo(logoContent));
       } catch (error) {
         // 如果logo文件不存在或读取失败，显示默认标题
-        console.log('\x1b[35m');
-        console.log('---------------------------------');
-        console.log('    Universal Tool Framework    ');
-        console.log('---------------------------------\x1b[0m');
+        print();
+        print(colorize('logo', [
+          '---------------------------------',
+          '    Universal Tool Framework    ',
+          '---------------------------------'
+        ].join('\n')));
       }
     }
   }
@@ -0,0 +1,538 @@
+const fs = require('fs');
+const path = require('path');
+const ApplicationController = require('./applicationController');
+const { validateToolPackage } = require('./configValidator');
+const { PackageInstaller } = require('./packageInstaller');
+const { describePackageHealth } = require('./packageHealth');
+const UIHandler = require('./uiHandler');
+const { t } = require('./i18n');
+const { colorize } = require('./theme');
+
+// 不带值的选项，后面的参数不会被当作选项的值
+const FLAG_OPTIONS = ['yes', 'force', 'json'];
+
+// packages 子命令的操作
+const PACKAGES_ACTIONS = ['list', 'add', 'remove', 'rename', 'default', 'show', 'check', 'clean'];
+
+/**
+ * 命令行处理器
+ * 
+ * 解析命令行参数并分发到对应的子命令
+ * 没有子命令时启动交互式菜单，有子命令时以非交互方式执行并返回退出码
+ */
+
+class CommandLineHandler {
+  /**
+   * 初始化命令行处理器
+   * 
+   * @param {ApplicationController} app - 应用程序控制器，未提供时自动创建
+   */
+  constructor(app = null) {
+    this.app = app || new ApplicationController();
+  }
+
+  /**
+   * 解析命令行参数
+   * 
+   * 支持 --name value、--name=value 形式的选项以及 -h 简写，其余参数作为位置参数
+   * 同一选项出现多次时，其值会合并为数组
+   * 
+   * @param {string[]} argv - 命令行参数（不包含 node 和脚本路径）
+   * @returns {{positionals: string[], options: object}} 位置参数和选项
+   */
+  parseArguments(argv) {
+    const positionals = [];
+    const options = {};
+
+    for (let i = 0; i < argv.length; i++) {
+      const arg = argv[i];
+
+      if (arg === '-h' || arg === '--help') {
+        options.help = true;
+      } else if (arg.startsWith('--')) {
+        const equalIndex = arg.indexOf('=');
+        let name;
+        let value;
+        if (equalIndex !== -1) {
+          name = arg.slice(2, equalIndex);
+          value = arg.slice(equalIndex + 1);
+        } else if (i + 1 < argv.length && !argv[i + 1].startsWith('-') && !FLAG_OPTIONS.includes(arg.slice(2))) {
+          name = arg.slice(2);
+          value = argv[++i];
+        } else {
+          name = arg.slice(2);
+          value = true;
+        }
+
+        if (options[name] === undefined) {
+          options[name] = value;
+        } else {
+          options[name] = [].concat(options[name], value);
+        }
+      } else {
+        positionals.push(arg);
+      }
+    }
+
+    return { positionals, options };
+  }
+
+  /**
+   * 执行命令行
+   * 
+   * @param {string[]} argv - 命令行参数（不包含 node 和脚本路径）
+   * @returns {Promise<number>} 进程退出码
+   */
+  async run(argv) {
+    const { positionals, options } = this.parseArguments(argv);
+    const command = positionals.shift();
+
+    try {
+      if (!command) {
+        if (options.help) {
+          this.showHelp();
+          return 0;
+        }
+        // 没有子命令时启动交互式菜单
+        await this.app.run();
+        return 0;
+      }
+
+      switch (command) {
+        case 'run':
+          return await this.runCommand(positionals, options);
+        case 'validate':
+          return this.validateCommand(positionals, options);
+        case 'package':
+          return await this.packageCommand(positionals, options);
+        case 'packages':
+          return await this.packagesCommand(positionals, options);
+        case 'help':
+          this.showHelp();
+          return 0;
+        default:
+          console.log(colorize('error', t('cli.unknownCommand', { command })));
+          this.showHelp();
+          return 1;
+      }
+    } catch (error) {
+      console.log(colorize('error', t('cli.error', { error: error.message })));
+      return 1;
+    }
+  }
+
+  /**
+   * run 子命令：按菜单路径直接运行工具
+   * 
+   * 用法：utf run <菜单路径> [--arch <架构>] [--package <工具包路径>] [--param <名称>=<值> ...] [--yes] [--confirm <名称>]
+   * 
+   * 需要确认的菜单项必须通过 --yes 或 --confirm <菜单项名称> 预先确认
+   * 
+   * @param {string[]} positionals - 位置参数
+   * @param {object} options - 命令行选项
+   * @returns {Promise<number>} 工具的返回码
+   */
+  async runCommand(positionals, options) {
+    const itemPath = positionals[0];
+    if (!itemPath || options.help) {
+      console.log(t('cli.runUsage'));
+      return itemPath ? 0 : 1;
+    }
+
+    await this.app.initializeConfig({
+      packagePath: typeof options.package === 'string' ? options.package : null,
+      interactive: false
+    });
+
+    return await this.app.runItemByPath(itemPath, {
+      arch: typeof options.arch === 'string' ? options.arch : null,
+      params: this.parseParameterOptions(options.param),
+      confirm: {
+        yes: options.yes === true,
+        names: [].concat(options.confirm || []).filter(name => typeof name === 'string')
+      }
+    });
+  }
+
+  /**
+   * 解析 --param 选项
+   * 
+   * @param {string|string[]|undefined} paramOptions - 一个或多个 名称=值 形式的参数
+   * @returns {object} 参数名到参数值的映射
+   * @throws {Error} 参数格式不正确时抛出
+   */
+  parseParameterOptions(paramOptions) {
+    const params = {};
+    
+    [].concat(paramOptions || []).forEach((option) => {
+      const equalIndex = typeof option === 'string' ? option.indexOf('=') : -1;
+      if (equalIndex <= 0) {
+        throw new Error(t('cli.invalidParam', { option }));
+      }
+      params[option.slice(0, equalIndex)] = option.slice(equalIndex + 1);
+    });
+    
+    return params;
+  }
+
+  /**
+   * validate 子命令：校验工具包配置
+   * 
+   * 用法：utf validate <工具包路径>
+   * 
+   * @param {string[]} positionals - 位置参数
+   * @param {object} options - 命令行选项
+   * @returns {number} 校验通过返回0，否则返回1
+   */
+  validateCommand(positionals, options) {
+    const packagePath = positionals[0];
+    if (!packagePath || options.help) {
+      console.log(t('cli.validateUsage'));
+      return packagePath ? 0 : 1;
+    }
+
+    const configDir = this.app.resolveConfigDir(path.resolve(packagePath));
+    const errors = validateToolPackage(configDir);
+
+    if (errors.length > 0) {
+      console.log(colorize('error', t('cli.validateFailed', { count: errors.length, dir: configDir })));
+      errors.forEach(error => console.log(`  - ${error}`));
+      return 1;
+    }
+
+    console.log(colorize('success', t('cli.validatePassed', { dir: configDir })));
+    return 0;
+  }
+
+  /**
+   * package 子命令：安装或卸载工具包
+   * 
+   * 用法：utf package install <压缩包|目录> [--force]
+   *       utf package uninstall <名称>[@<版本>]
+   * 
+   * 工具包安装到用户数据目录下的 packages 目录中，并添加到工具包列表
+   * 
+   * @param {string[]} positionals - 位置参数
+   * @param {object} options - 命令行选项
+   * @returns {Promise<number>} 成功返回0，否则返回1
+   */
+  async packageCommand(positionals, options) {
+    const [subcommand, target] = positionals;
+    const installer = new PackageInstaller(this.app.userDataPath);
+
+    if (subcommand === 'install' && target && !options.help) {
+      const pkg = installer.install(target, { force: options.force === true });
+      await this.app.addToolPackage(pkg.path, pkg.name);
+      console.log(colorize('success', t('cli.packageInstalled', { name: pkg.name, version: pkg.version, path: pkg.path })));
+      return 0;
+    }
+
+    if (subcommand === 'uninstall' && target && !options.help) {
+      const pkg = installer.uninstall(target);
+      await this.app.removeToolPackage(pkg.path);
+      console.log(colorize('success', t('cli.packageUninstalled', { name: pkg.name, version: pkg.version })));
+      return 0;
+    }
+
+    console.log(t('cli.packageUsage'));
+    return options.help ? 0 : 1;
+  }
+
+  /**
+   * packages 子命令：管理已保存的工具包列表
+   * 
+   * 用法：utf packages list
+   *       utf packages add <工具包路径> [--name <名称>]
+   *       utf packages remove <工具包>
+   *       utf packages rename <工具包> <新名称>
+   *       utf packages default [<工具包>]
+   *       utf packages show <工具包>
+   *       utf packages check
+   *       utf packages clean
+   * 
+   * <工具包> 可以是列表中的序号、名称或路径；所有操作都支持 --json 输出
+   * check 发现有问题的工具包时返回1
+   * 
+   * @param {string[]} positionals - 位置参数
+   * @param {object} options - 命令行选项
+   * @returns {Promise<number>} 成功返回0，否则返回1
+   */
+  async packagesCommand(positionals, options) {
+    const [action = 'list', ...args] = positionals;
+    if (!PACKAGES_ACTIONS.includes(action) && options.json) {
+      console.log(JSON.stringify({ error: t('cli.unknownCommand', { command: action }) }, null, 2));
+      return 1;
+    }
+    if (!PACKAGES_ACTIONS.includes(action) || options.help) {
+      console.log(t('cli.packagesUsage'));
+      return options.help ? 0 : 1;
+    }
+
+    let result;
+    try {
+      result = await this.runPackagesAction(action, args, options);
+    } catch (error) {
+      if (!options.json) {
+        throw error;
+      }
+      console.log(JSON.stringify({ error: error.message }, null, 2));
+      return 1;
+    }
+
+    if (result === null) {
+      // 参数不足时 --json 同样输出 JSON 格式的错误
+      console.log(options.json ? JSON.stringify({ error: t('cli.packagesMissingArgs', { action }) }, null, 2) : t('cli.packagesUsage'));
+      return 1;
+    }
+
+    if (options.json) {
+      console.log(JSON.stringify(result.data, null, 2));
+    } else {
+      result.print();
+    }
+    return result.exitCode || 0;
+  }
+
+  /**
+   * 执行 packages 子命令的操作
+   * 
+   * @param {string} action - 操作名称
+   * @param {string[]} args - 操作的参数
+   * @param {object} options - 命令行选项
+   * @returns {Promise<{data: *, print: Function, exitCode?: number}|null>} JSON 输出的数据、文本输出函数和退出码，参数不足时返回null
+   * @throws {Error} 工具包不存在或无效时抛出
+   */
+  async runPackagesAction(action, args, options) {
+    const packages = await this.app.getSavedToolPackages();
+
+    switch (action) {
+      case 'list': {
+        const entries = await Promise.all(packages.map((pkg, index) => this.describeSavedPackage(pkg, index)));
+        return {
+          data: entries,
+          print: () => {
+            if (entries.length === 0) {
+              console.log(t('package.noSavedPackages'));
+            }
+            entries.forEach((entry) => {
+              const marker = entry.default ? '*' : ' ';
+              console.log(`${marker} ${entry.index}. ${t('package.entry', entry)}`);
+            });
+          }
+        };
+      }
+      case 'add': {
+        if (!args[0]) {
+          return null;
+        }
+        const packageRoot = path.resolve(args[0]);
+        const configDir = this.app.resolveConfigDir(packageRoot);
+        if (!fs.existsSync(path.join(configDir, 'menu.json'))) {
+          throw new Error(t('package.menuFileNotFound', { path: args[0] }));
+        }
+        const rootPath = this.app.getToolPackageRootPath(packageRoot);
+        const name = typeof options.name === 'string' ? options.name : (await this.app.getToolPackageInfo(rootPath)).name;
+        await this.app.addToolPackage(rootPath, name);
+        const entry = await this.findSavedPackage(rootPath);
+        return {
+          data: entry,
+          print: () => console.log(colorize('success', t('cli.packagesAdded', entry)))
+        };
+      }
+      case 'remove': {
+        if (!args[0]) {
+          return null;
+        }
+        const entry = await this.findSavedPackage(args[0]);
+        await this.app.removeToolPackage(entry.path);
+        return {
+          data: entry,
+          print: () => console.log(colorize('success', t('cli.packagesRemoved', entry)))
+        };
+      }
+      case 'rename': {
+        if (!args[0] || !args[1]) {
+          return null;
+        }
+        const entry = await this.findSavedPackage(args[0]);
+        packages[entry.index - 1].name = args[1];
+        await this.app.saveToolPackages(packages);
+        const renamed = { ...entry, name: args[1] };
+        return {
+          data: renamed,
+          print: () => console.log(colorize('success', t('cli.packagesRenamed', { oldName: entry.name, name: renamed.name })))
+        };
+      }
+      case 'default': {
+        if (!args[0]) {
+          const savedPath = this.app.getSavedConfigPath();
+          let entry = null;
+          if (savedPath) {
+            // 启动时使用的工具包可能已从列表中移除，此时只显示路径
+            const rootPath = this.app.getToolPackageRootPath(savedPath);
+            entry = await this.findSavedPackage(rootPath, false) ||
+              { ...(await this.app.getToolPackageInfo(rootPath)), path: rootPath, configDir: savedPath, default: true };
+          }
+          return {
+            data: entry,
+            print: () => console.log(entry ? t('package.entry', entry) : t('cli.packagesNoDefault'))
+          };
+        }
+        const entry = await this.findSavedPackage(args[0]);
+        const configDir = this.app.resolveConfigDir(entry.path);
+        if (!fs.existsSync(path.join(configDir, 'menu.json'))) {
+          throw new Error(t('package.menuFileNotFound', { path: entry.path }));
+        }
+        await this.app.setDefaultToolPackage(entry.path);
+        const defaultEntry = { ...entry, default: true };
+        return {
+          data: defaultEntry,
+          print: () => console.log(colorize('success', t('cli.packagesDefaultSet', defaultEntry)))
+        };
+      }
+      case 'show': {
+        if (!args[0]) {
+          return null;
+        }
+        const entry = await this.findSavedPackage(args[0]);
+        return {
+          data: entry,
+          print: () => {
+            console.log(`${t('cli.packagesField.name')}: ${entry.name}`);
+            console.log(`${t('cli.packagesField.version')}: ${entry.version}`);
+            console.log(`${t('cli.packagesField.path')}: ${entry.path}`);
+            console.log(`${t('cli.packagesField.configDir')}: ${entry.configDir}`);
+            console.log(`${t('cli.packagesField.added')}: ${entry.added || '-'}`);
+            console.log(`${t('cli.packagesField.default')}: ${entry.default ? t('cli.yes') : t('cli.no')}`);
+          }
+        };
+      }
+      case 'check': {
+        const checked = (await this.app.checkToolPackages()).map((pkg, index) => ({
+          index: index + 1,
+          name: pkg.name,
+          path: pkg.path,
+          ...pkg.health
+        }));
+        return {
+          data: checked,
+          exitCode: checked.some(entry => entry.status !== 'ok') ? 1 : 0,
+          print: () => {
+            if (checked.length === 0) {
+              console.log(t('package.noSavedPackages'));
+            }
+            checked.forEach((entry) => {
+              const role = entry.status === 'ok' ? 'success' : 'error';
+              console.log(`  ${entry.index}. ${entry.name} [${entry.path}] ${colorize(role, describePackageHealth(entry))}`);
+            });
+          }
+        };
+      }
+      case 'clean': {
+        const removed = (await this.app.removeBrokenToolPackages()).map(({ health, ...pkg }) => ({ ...pkg, ...health }));
+        return {
+          data: removed,
+          print: () => {
+            removed.forEach(entry => console.log(`  - ${entry.name} [${entry.path}] ${describePackageHealth(entry)}`));
+            console.log(colorize('success', t('health.cleaned', { count: removed.length })));
+          }
+        };
+      }
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * 生成已保存工具包的描述信息
+   * 
+   * @param {object} pkg - tool_packages.json 中的工具包
+   * @param {number} index - 工具包在列表中的位置（从0开始）
+   * @returns {Promise<object>} 包含序号、名称、版本、路径和是否为默认工具包的对象
+   */
+  async describeSavedPackage(pkg, index) {
+    const info = await this.app.getToolPackageInfo(pkg.path);
+    const savedPath = this.app.getSavedConfigPath();
+    const rootPath = path.resolve(this.app.getToolPackageRootPath(pkg.path));
+
+    return {
+      index: index + 1,
+      name: pkg.name,
+      version: info.version,
+      path: pkg.path,
+      configDir: this.app.resolveConfigDir(pkg.path),
+      added: pkg.added || null,
+      default: Boolean(savedPath) && path.resolve(this.app.getToolPackageRootPath(savedPath)) === rootPath
+    };
+  }
+
+  /**
+   * 在已保存的工具包中查找指定的工具包
+   * 
+   * @param {string} reference - 列表中的序号（从1开始）、工具包名称或路径
+   * @param {boolean} [required=true] - 找不到时是否抛出错误
+   * @returns {Promise<object|null>} describeSavedPackage 返回的描述信息，找不到且 required 为 false 时返回null
+   * @throws {Error} 找不到工具包，或名称对应多个工具包时抛出
+   */
+  async findSavedPackage(reference, required = true) {
+    const packages = await this.app.getSavedToolPackages();
+
+    let index = -1;
+    if (/^[0-9]+$/.test(reference) && Number(reference) >= 1 && Number(reference) <= packages.length) {
+      index = Number(reference) - 1;
+    } else {
+      const named = packages.filter(pkg => pkg.name === reference);
+      if (named.length > 1) {
+        throw new Error(t('cli.packagesAmbiguous', { name: reference }));
+      }
+      const rootPath = path.resolve(this.app.getToolPackageRootPath(path.resolve(reference)));
+      index = named.length === 1
+        ? packages.indexOf(named[0])
+        : packages.findIndex(pkg => path.resolve(this.app.getToolPackageRootPath(pkg.path)) === rootPath);
+    }
+
+    if (index === -1) {
+      if (!required) {
+        return null;
+      }
+      throw new Error(t('cli.packagesNotFound', { reference }));
+    }
+
+    return this.describeSavedPackage(packages[index], index);
+  }
+
+  /**
+   * 显示命令行帮助信息
+   */
+  showHelp() {
+    const printRows = rows => rows.forEach(([usage, description]) =>
+      console.log(`  ${usage}${' '.repeat(Math.max(1, 36 - UIHandler.getDisplayWidth(usage)))}${description}`)
+    );
+
+    console.log('Universal Tool Framework\n');
+    console.log(t('cli.help.usage'));
+    printRows([
+      ['utf', t('cli.help.interactive')],
+      [t('cli.help.runUsage'), t('cli.help.run')],
+      [t('cli.help.validateUsage'), t('cli.help.validate')],
+      [t('cli.help.installUsage'), t('cli.help.install')],
+      [t('cli.help.uninstallUsage'), t('cli.help.uninstall')],
+      [t('cli.help.packagesUsage'), t('cli.help.packages')]
+    ]);
+    console.log(`\n${t('cli.help.options')}`);
+    printRows([
+      [t('cli.help.archOption'), t('cli.help.arch')],
+      [t('cli.help.packageOption'), t('cli.help.package')],
+      [t('cli.help.paramOption'), t('cli.help.param')],
+      ['--yes', t('cli.help.yes')],
+      [t('cli.help.confirmOption'), t('cli.help.confirm')],
+      ['--force', t('cli.help.force')],
+      ['--json', t('cli.help.json')],
+      ['-h, --help', t('cli.help.help')]
+    ]);
+  }
+}
+
+module.exports = {
+  CommandLineHandler
+};
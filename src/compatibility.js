@@ -0,0 +1,292 @@
+const { version: FRAMEWORK_VERSION } = require('../package.json');
+const { t } = require('./i18n');
+
+/**
+ * 工具包兼容性检查
+ * 
+ * 工具包可以在 settings.json 的 app 中声明需要的框架版本范围（framework）和框架功能（capabilities），
+ * 加载工具包时与当前框架比较，避免为新版框架编写的工具包在旧版框架上以难以理解的方式失败
+ */
+
+// 当前框架提供的功能，工具包通过 app.capabilities 声明依赖
+const FRAMEWORK_CAPABILITIES = [
+  'arrow_input',
+  'parameters',
+  'sequence',
+  'dynamic_menu',
+  'when',
+  'env',
+  'timeout',
+  'confirm',
+  'favorites',
+  'history',
+  'log_output',
+  'theme',
+  'keymap',
+  'mouse',
+  'language',
+  'package_install'
+];
+
+// 不兼容时的处理方式：refuse 拒绝加载，warn 显示警告后继续加载
+const COMPATIBILITY_MODES = ['refuse', 'warn'];
+
+const VERSION_PATTERN = /^v?(\d+|[xX*])(?:\.(\d+|[xX*]))?(?:\.(\d+|[xX*]))?(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+const COMPARATOR_PATTERN = /^(\^|~|>=|<=|>|<|=)?\s*(\S+)$/;
+
+/**
+ * 解析版本号，缺少的部分或 x、* 通配符为 null
+ * 
+ * @param {string} text - 版本号，例如 "2.1.0"、"2.1" 或 "2.x"
+ * @returns {{parts: Array<number|null>, prerelease: string}|null} 解析结果，格式不正确时返回null
+ */
+function parseVersion(text) {
+  const match = VERSION_PATTERN.exec(String(text).trim());
+  if (!match) {
+    return null;
+  }
+
+  const parts = [match[1], match[2], match[3]].map(part =>
+    part === undefined || /^[xX*]$/.test(part) ? null : Number(part)
+  );
+  // 通配符之后不能再出现具体的数字，例如 "2.x.1"
+  if (parts.some((part, index) => part !== null && parts.slice(0, index).includes(null))) {
+    return null;
+  }
+
+  return { parts, prerelease: match[4] || '' };
+}
+
+/**
+ * 比较两个预发布标识
+ * 
+ * 按 . 分隔逐段比较：纯数字的段按数值比较并低于包含字母的段，其他段按字符串比较；
+ * 前面的段都相同时段数较少的较低，例如 rc.9 < rc.10 < rc.10.1
+ * 
+ * @param {string} a - 预发布标识，例如 "rc.10"
+ * @param {string} b - 预发布标识
+ * @returns {number} a 较低时为负数，相等时为0，a 较高时为正数
+ */
+function comparePrereleases(a, b) {
+  const aParts = a.split('.');
+  const bParts = b.split('.');
+  for (let i = 0; i < Math.min(aParts.length, bParts.length); i++) {
+    const aNumeric = /^\d+$/.test(aParts[i]);
+    const bNumeric = /^\d+$/.test(bParts[i]);
+    if (aNumeric && bNumeric) {
+      if (Number(aParts[i]) !== Number(bParts[i])) {
+        return Number(aParts[i]) - Number(bParts[i]);
+      }
+    } else if (aNumeric !== bNumeric) {
+      return aNumeric ? -1 : 1;
+    } else if (aParts[i] !== bParts[i]) {
+      return aParts[i] < bParts[i] ? -1 : 1;
+    }
+  }
+  return aParts.length - bParts.length;
+}
+
+/**
+ * 比较两个完整的版本号，预发布版本低于对应的正式版本
+ * 
+ * @param {{parts: number[], prerelease: string}} a - 版本号
+ * @param {{parts: number[], prerelease: string}} b - 版本号
+ * @returns {number} a 较低时为负数，相等时为0，a 较高时为正数
+ */
+function compareVersions(a, b) {
+  for (let i = 0; i < 3; i++) {
+    if (a.parts[i] !== b.parts[i]) {
+      return a.parts[i] - b.parts[i];
+    }
+  }
+  if (a.prerelease === b.prerelease) {
+    return 0;
+  }
+  if (!a.prerelease || !b.prerelease) {
+    return a.prerelease ? -1 : 1;
+  }
+  return comparePrereleases(a.prerelease, b.prerelease);
+}
+
+/**
+ * 生成完整的版本号对象
+ * 
+ * @param {number} major - 主版本号
+ * @param {number} minor - 次版本号
+ * @param {number} patch - 修订号
+ * @param {string} [prerelease] - 预发布标识
+ * @returns {{parts: number[], prerelease: string}} 版本号
+ */
+function makeVersion(major, minor, patch, prerelease = '') {
+  return { parts: [major, minor, patch], prerelease };
+}
+
+/**
+ * 把一个比较条件转换为 [运算符, 版本号] 列表
+ * 
+ * 不完整的版本号按所在范围展开，例如 "2.1" 表示 >=2.1.0 <2.2.0，"^2.1.0" 表示 >=2.1.0 <3.0.0，
+ * "~2.1.3" 表示 >=2.1.3 <2.2.0
+ * 
+ * @param {string} operator - 运算符，未指定时为空字符串
+ * @param {{parts: Array<number|null>, prerelease: string}} version - 版本号
+ * @returns {Array<[string, object]>} 需要同时满足的比较条件
+ */
+function expandComparator(operator, version) {
+  const [major, minor, patch] = version.parts;
+  const lower = makeVersion(major || 0, minor || 0, patch || 0, version.prerelease);
+
+  if (major === null) {
+    // "*" 匹配任意版本，"<*" 等不匹配任何版本
+    return operator === '' || operator === '=' || operator === '>=' || operator === '<=' ? [] : [['<', makeVersion(0, 0, 0)]];
+  }
+
+  let upper;
+  if (operator === '^') {
+    if (major > 0 || minor === null) {
+      upper = makeVersion(major + 1, 0, 0);
+    } else if (minor > 0 || patch === null) {
+      upper = makeVersion(0, minor + 1, 0);
+    } else {
+      upper = makeVersion(0, 0, patch + 1);
+    }
+    return [['>=', lower], ['<', upper]];
+  }
+  if (operator === '~') {
+    upper = minor === null ? makeVersion(major + 1, 0, 0) : makeVersion(major, minor + 1, 0);
+    return [['>=', lower], ['<', upper]];
+  }
+
+  const isPartial = minor === null || patch === null;
+  if (isPartial) {
+    upper = minor === null ? makeVersion(major + 1, 0, 0) : makeVersion(major, minor + 1, 0);
+    switch (operator) {
+      case '>':
+        return [['>=', upper]];
+      case '<=':
+        return [['<', upper]];
+      case '>=':
+        return [['>=', lower]];
+      case '<':
+        return [['<', lower]];
+      default:
+        return [['>=', lower], ['<', upper]];
+    }
+  }
+
+  return [[operator || '=', lower]];
+}
+
+/**
+ * 解析版本范围
+ * 
+ * 支持 npm 风格的常用写法：空格分隔的条件需要同时满足，"||" 分隔的条件组满足其一即可，
+ * 每个条件可以使用 >=、<=、>、<、=、^、~ 运算符和 x、* 通配符
+ * 
+ * @param {string} range - 版本范围，例如 ">=2.1.0 <3" 或 "^2.1 || ^3"
+ * @returns {Array<Array<[string, object]>>|null} 条件组列表，格式不正确时返回null
+ */
+function parseRange(range) {
+  if (typeof range !== 'string' || !range.trim()) {
+    return null;
+  }
+
+  const groups = [];
+  for (const group of range.split('||')) {
+    // 允许运算符和版本号之间有空格，例如 ">= 2.1.0"
+    const tokens = group.trim().replace(/(\^|~|>=|<=|>|<|=)\s+/g, '$1').split(/\s+/).filter(Boolean);
+    if (tokens.length === 0) {
+      return null;
+    }
+
+    const comparators = [];
+    for (const token of tokens) {
+      const match = COMPARATOR_PATTERN.exec(token);
+      const version = match && parseVersion(match[2]);
+      if (!version) {
+        return null;
+      }
+      comparators.push(...expandComparator(match[1] || '', version));
+    }
+    groups.push(comparators);
+  }
+
+  return groups;
+}
+
+/**
+ * 判断版本号是否满足版本范围
+ * 
+ * @param {string} version - 完整的版本号
+ * @param {string} range - 版本范围
+ * @returns {boolean} 满足时返回true，版本号或范围格式不正确时返回false
+ */
+function satisfiesRange(version, range) {
+  const parsedVersion = parseVersion(version);
+  const groups = parseRange(range);
+  if (!parsedVersion || parsedVersion.parts.includes(null) || !groups) {
+    return false;
+  }
+
+  return groups.some(comparators => comparators.every(([operator, target]) => {
+    const result = compareVersions(parsedVersion, target);
+    switch (operator) {
+      case '>':
+        return result > 0;
+      case '>=':
+        return result >= 0;
+      case '<':
+        return result < 0;
+      case '<=':
+        return result <= 0;
+      default:
+        return result === 0;
+    }
+  }));
+}
+
+/**
+ * 判断版本范围格式是否正确
+ * 
+ * @param {*} range - 版本范围
+ * @returns {boolean} 格式正确时返回true
+ */
+function isValidRange(range) {
+  return parseRange(range) !== null;
+}
+
+/**
+ * 检查工具包与当前框架是否兼容
+ * 
+ * 兼容性检查在完整校验之前执行，格式不正确的 framework 和 capabilities 在这里跳过，
+ * 由 configValidator 报告为对应字段的校验错误，而不是版本不匹配
+ * 
+ * @param {object} [app] - settings.json 中的 app 配置
+ * @returns {string[]} 不兼容的原因，为空表示兼容
+ */
+function checkCompatibility(app) {
+  const problems = [];
+  if (!app) {
+    return problems;
+  }
+
+  if (isValidRange(app.framework) && !satisfiesRange(FRAMEWORK_VERSION, app.framework)) {
+    problems.push(t('compat.versionMismatch', { range: app.framework, version: FRAMEWORK_VERSION }));
+  }
+
+  const missingCapabilities = [].concat(app.capabilities || [])
+    .filter(capability => typeof capability === 'string' && capability !== '' && !FRAMEWORK_CAPABILITIES.includes(capability));
+  if (missingCapabilities.length > 0) {
+    problems.push(t('compat.missingCapabilities', { capabilities: missingCapabilities.join(', '), version: FRAMEWORK_VERSION }));
+  }
+
+  return problems;
+}
+
+module.exports = {
+  FRAMEWORK_VERSION,
+  FRAMEWORK_CAPABILITIES,
+  COMPATIBILITY_MODES,
+  satisfiesRange,
+  isValidRange,
+  checkCompatibility
+};
@@ -0,0 +1,162 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getSystemArchitecture, detectOperatingSystem } = require('./systemUtils');
+const { expandPlaceholders } = require('./parameterHandler');
+
+/**
+ * 菜单显示条件
+ * 
+ * 菜单和菜单项可以通过 when 字段声明显示条件，例如只在某个操作系统上显示，
+ * 或者只在某个命令可用时显示。条件对象中的各个字段需要同时满足
+ */
+
+// 条件对象支持的字段
+const CONDITION_KEYS = ['os', 'arch', 'env', 'file_exists', 'command', 'any', 'not'];
+
+// 命令是否在 PATH 中的缓存，同一次运行中只查找一次
+const commandCache = new Map();
+
+/**
+ * 判断命令是否可以直接运行
+ * 
+ * 包含路径分隔符的命令检查文件是否存在，否则在 PATH 的各个目录中查找；
+ * Windows 上同时尝试 PATHEXT 中的扩展名
+ * 
+ * @param {string} command - 命令名称，例如 "git"
+ * @param {string} baseDir - 相对路径的基准目录
+ * @returns {boolean} 可以运行时返回true
+ */
+function isCommandAvailable(command, baseDir) {
+  const cacheKey = `${baseDir}\u0000${command}`;
+  if (commandCache.has(cacheKey)) {
+    return commandCache.get(cacheKey);
+  }
+
+  const isWindows = detectOperatingSystem() === 'Windows';
+  const extensions = isWindows
+    ? ['', ...(process.env.PATHEXT || '.COM;.EXE;.BAT;.CMD').split(';').filter(Boolean)]
+    : [''];
+  const directories = /[\\/]/.test(command)
+    ? [baseDir]
+    : (process.env.PATH || '').split(path.delimiter).filter(Boolean);
+
+  const available = directories.some(directory => extensions.some((extension) => {
+    try {
+      const candidate = path.resolve(directory, command + extension);
+      if (!fs.statSync(candidate).isFile()) {
+        return false;
+      }
+      if (!isWindows) {
+        fs.accessSync(candidate, fs.constants.X_OK);
+      }
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }));
+
+  commandCache.set(cacheKey, available);
+  return available;
+}
+
+/**
+ * 判断值是否在允许的列表中
+ * 
+ * @param {string|string[]} expected - 条件中的一个或多个值
+ * @param {string} actual - 当前值
+ * @returns {boolean} 匹配时返回true
+ */
+function matchesAny(expected, actual) {
+  return [].concat(expected).includes(actual);
+}
+
+/**
+ * 判断环境变量条件是否满足
+ * 
+ * 值为 true 时要求环境变量已设置且不为空，为 false 时要求未设置或为空，为字符串时要求值相等
+ * 
+ * @param {object} env - 环境变量名到期望值的映射
+ * @returns {boolean} 全部满足时返回true
+ */
+function matchesEnvironment(env) {
+  return Object.entries(env).every(([name, expected]) => {
+    const value = process.env[name];
+    if (expected === true) {
+      return Boolean(value);
+    }
+    if (expected === false) {
+      return !value;
+    }
+    return value === String(expected);
+  });
+}
+
+/**
+ * 判断显示条件是否满足
+ * 
+ * 条件字段：
+ * - os / arch: 操作系统或架构名称，可以是数组，匹配其中之一即可
+ * - env: 环境变量条件，见 matchesEnvironment
+ * - file_exists: 必须存在的文件或目录，可以是数组；相对路径基于工具包目录，支持路径占位符
+ * - command: 必须能在 PATH 中找到的命令，可以是数组
+ * - any: 条件数组，满足其中之一即可
+ * - not: 不能满足的条件
+ * 
+ * @param {object|undefined} when - 显示条件，未设置时总是满足
+ * @param {object} context - 求值环境
+ * @param {string} context.packageDir - 工具包根目录
+ * @param {string} [context.configDir] - 配置目录，用于 ${CONFIG_DIR} 占位符
+ * @returns {boolean} 满足条件时返回true
+ */
+function evaluateCondition(when, context) {
+  if (when === undefined || when === null) {
+    return true;
+  }
+
+  const operatingSystem = detectOperatingSystem();
+  const architecture = getSystemArchitecture();
+  const packageDir = path.resolve(context.packageDir);
+
+  if (when.os !== undefined && !matchesAny(when.os, operatingSystem)) {
+    return false;
+  }
+  if (when.arch !== undefined && !matchesAny(when.arch, architecture)) {
+    return false;
+  }
+  if (when.env !== undefined && !matchesEnvironment(when.env)) {
+    return false;
+  }
+  if (when.file_exists !== undefined) {
+    const placeholders = {
+      PACKAGE_DIR: packageDir,
+      CONFIG_DIR: context.configDir ? path.resolve(context.configDir) : undefined,
+      ARCH: architecture,
+      OS: operatingSystem,
+      HOME: os.homedir()
+    };
+    const allExist = [].concat(when.file_exists).every(filePath =>
+      fs.existsSync(path.resolve(packageDir, expandPlaceholders(filePath, placeholders)))
+    );
+    if (!allExist) {
+      return false;
+    }
+  }
+  if (when.command !== undefined && ![].concat(when.command).every(command => isCommandAvailable(command, packageDir))) {
+    return false;
+  }
+  if (when.any !== undefined && !when.any.some(condition => evaluateCondition(condition, context))) {
+    return false;
+  }
+  if (when.not !== undefined && evaluateCondition(when.not, context)) {
+    return false;
+  }
+
+  return true;
+}
+
+module.exports = {
+  CONDITION_KEYS,
+  evaluateCondition,
+  isCommandAvailable
+};
@@ -1,5 +1,6 @@
 const fs = require('fs');
 const path = require('path');
+const { t } = require('./i18n');
 
 /**
  * 配置处理器
@@ -31,11 +32,11 @@ class ConfigHandler {
       return JSON.parse(cleanData);
     } catch (error) {
       if (error instanceof SyntaxError) {
-        throw new Error(`JSON解析错误: ${error.message}`);
+        throw new Error(t('config.jsonParseError', { error: error.message }));
       } else if (error.code === 'ENOENT') {
-        throw new Error(`配置文件未找到: ${this.jsonPath}`);
+        throw new Error(t('config.fileNotFound', { path: this.jsonPath }));
       } else {
-        throw new Error(`读取配置文件时出错: ${error.message}`);
+        throw new Error(t('config.readError', { error: error.message }));
       }
     }
   }
@@ -0,0 +1,870 @@
+const fs = require('fs');
+const path = require('path');
+const ConfigHandler = require('./configHandler');
+const { SUPPORTED_ARCHITECTURES, SUPPORTED_OPERATING_SYSTEMS } = require('./systemUtils');
+const { CONDITION_KEYS } = require('./conditions');
+const { resolveMenuItemPath } = require('./menuController');
+const { PARAMETER_TYPES, getReferencedParameters, normalizeParameterValue } = require('./parameterHandler');
+const { SUPPORTED_LANGUAGES, t } = require('./i18n');
+const { BUILT_IN_THEMES, THEME_ROLES, isValidStyle } = require('./theme');
+const { KEYMAP_ACTIONS, isValidKeyName } = require('./keymap');
+const { COMPATIBILITY_MODES, isValidRange } = require('./compatibility');
+
+/**
+ * 配置校验器
+ * 
+ * 在加载工具包时校验 menu.json、settings.json 和 arch_picker.json 的结构
+ * 每条错误信息都会指明出错的文件、菜单和菜单项，便于工具包作者定位问题
+ */
+
+// 支持的菜单项类型
+const KNOWN_ITEM_TYPES = ['submenu', 'dynamic', 'executable', 'sequence', 'back', 'main'];
+
+// 菜单项的危险等级和确认方式
+const DANGER_LEVELS = ['warning', 'critical'];
+const CONFIRM_MODES = [true, false, 'yes_no', 'type_name'];
+
+// 序列中某一步失败后的处理方式
+const SEQUENCE_FAILURE_MODES = ['stop', 'continue'];
+
+// 超时时间上限（秒），超过 setTimeout 支持的最大延迟（2^31-1 毫秒）时定时器会立即触发
+const MAX_TIMEOUT = 2147483;
+
+// 支持的输入方式
+const INPUT_METHODS = ['num_input', 'arrow_input'];
+
+// 不满足显示条件的菜单项的处理方式
+const UNAVAILABLE_ITEM_MODES = ['hide', 'disable'];
+
+/**
+ * 配置校验错误
+ * 
+ * 包含全部校验错误信息，message 为可直接显示的多行文本
+ */
+class ConfigValidationError extends Error {
+  /**
+   * @param {string[]} errors - 校验错误信息列表
+   * @param {string} [title] - 错误信息的标题，默认为配置校验失败
+   */
+  constructor(errors, title = t('validator.failed')) {
+    super(`${title}\n${errors.map(error => `  - ${error}`).join('\n')}`);
+    this.name = 'ConfigValidationError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * 判断值是否为普通对象
+ * 
+ * @param {*} value - 要判断的值
+ * @returns {boolean} 是普通对象时返回true
+ */
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * 生成菜单项的描述文本，用于错误信息
+ * 
+ * @param {string} menuId - 菜单ID
+ * @param {object} item - 菜单项
+ * @param {number} index - 菜单项在 items 中的下标
+ * @returns {string} 描述文本
+ */
+function describeItem(menuId, item, index) {
+  const label = isPlainObject(item) && item.id !== undefined ? `id ${item.id}` : t('validator.nthItem', { number: index + 1 });
+  const name = isPlainObject(item) && typeof item.name === 'string' ? ` "${item.name.trim()}"` : '';
+  return t('validator.menuItem', { menu: menuId, label, name });
+}
+
+/**
+ * 校验可执行菜单项的工具路径
+ * 
+ * @param {*} toolPath - 菜单项的 path 字段
+ * @param {string} prefix - 错误信息前缀
+ * @param {string[]} errors - 错误信息列表
+ * @param {string} fieldName - 错误信息中显示的字段名称
+ * @param {string} type - 缺少路径时错误信息中显示的菜单项类型
+ */
+function validateToolPath(toolPath, prefix, errors, fieldName = 'path', type = 'executable') {
+  if (toolPath === undefined) {
+    errors.push(`${prefix}: ${t('validator.missingForType', { type, field: fieldName })}`);
+  } else if (typeof toolPath === 'string') {
+    if (!toolPath.trim()) {
+      errors.push(`${prefix}: ${t('validator.emptyString', { field: fieldName })}`);
+    }
+  } else if (isPlainObject(toolPath)) {
+    const entries = Object.entries(toolPath);
+    if (entries.length === 0) {
+      errors.push(`${prefix}: ${t('validator.noToolPaths', { field: fieldName })}`);
+    }
+    entries.forEach(([key, value]) => {
+      if (isPlainObject(value)) {
+        // 只有操作系统键允许嵌套按架构区分的对象
+        if (!SUPPORTED_OPERATING_SYSTEMS.includes(key)) {
+          errors.push(`${prefix}: ${t('validator.notOperatingSystem', {
+            field: `${fieldName}.${key}`,
+            systems: SUPPORTED_OPERATING_SYSTEMS.join(', ')
+          })}`);
+          return;
+        }
+        if (Object.keys(value).length === 0) {
+          errors.push(`${prefix}: ${t('validator.noArchPaths', { field: `${fieldName}.${key}` })}`);
+        }
+        Object.entries(value).forEach(([arch, archPath]) => {
+          if (typeof archPath !== 'string' || !archPath.trim()) {
+            errors.push(`${prefix}: ${t('validator.nonEmptyString', { field: `${fieldName}.${key}.${arch}` })}`);
+          }
+        });
+      } else if (typeof value !== 'string' || !value.trim()) {
+        errors.push(`${prefix}: ${t('validator.nonEmptyString', { field: `${fieldName}.${key}` })}`);
+      }
+    });
+  } else {
+    errors.push(`${prefix}: ${t('validator.invalidToolPath', { field: fieldName })}`);
+  }
+}
+
+/**
+ * 获取工具路径配置中的全部命令字符串
+ * 
+ * @param {string|object} toolPath - 工具路径配置
+ * @returns {string[]} 命令字符串列表
+ */
+function collectCommands(toolPath) {
+  if (typeof toolPath === 'string') {
+    return [toolPath];
+  }
+  if (isPlainObject(toolPath)) {
+    return Object.values(toolPath).flatMap(collectCommands);
+  }
+  return [];
+}
+
+/**
+ * 校验菜单项声明的参数
+ * 
+ * @param {object} item - 菜单项
+ * @param {string} prefix - 错误信息前缀
+ * @param {string[]} errors - 错误信息列表
+ */
+function validateParameters(item, prefix, errors) {
+  const declared = new Set();
+
+  if (item.params !== undefined) {
+    if (!Array.isArray(item.params)) {
+      errors.push(`${prefix}: ${t('validator.mustBeArray', { field: 'params' })}`);
+    } else {
+      item.params.forEach((param, index) => {
+        const paramPrefix = `${prefix}: ${t('validator.param', {
+          name: isPlainObject(param) && param.name ? `"${param.name}"` : t('validator.nthItem', { number: index + 1 })
+        })}`;
+
+        if (!isPlainObject(param)) {
+          errors.push(`${paramPrefix}: ${t('validator.paramNotObject')}`);
+          return;
+        }
+
+        if (typeof param.name !== 'string' || !/^[A-Za-z_][A-Za-z0-9_]*$/.test(param.name)) {
+          errors.push(`${paramPrefix}: ${t('validator.invalidIdentifier', { field: 'name' })}`);
+        } else if (declared.has(param.name)) {
+          errors.push(`${paramPrefix}: ${t('validator.duplicateParam')}`);
+        } else {
+          declared.add(param.name);
+        }
+
+        if (param.type !== undefined && !PARAMETER_TYPES.includes(param.type)) {
+          errors.push(`${paramPrefix}: ${t('validator.unknownParamType', { type: param.type, types: PARAMETER_TYPES.join(', ') })}`);
+          return;
+        }
+
+        if (param.type === 'choice' && (!Array.isArray(param.choices) || param.choices.length === 0)) {
+          errors.push(`${paramPrefix}: ${t('validator.missingForType', { type: 'choice', field: 'choices' })}`);
+          return;
+        }
+
+        if (param.pattern !== undefined) {
+          try {
+            new RegExp(param.pattern);
+          } catch (error) {
+            errors.push(`${paramPrefix}: ${t('validator.invalidPattern')}`);
+            return;
+          }
+        }
+
+        // 默认值也必须满足参数的校验规则（路径类型不检查是否存在）
+        if (param.default !== undefined && param.type !== 'path') {
+          const result = normalizeParameterValue(param, param.default);
+          if (result.error) {
+            errors.push(`${paramPrefix}: ${t('validator.invalidDefault', { error: result.error })}`);
+          }
+        }
+      });
+    }
+  }
+
+  // 命令中引用的参数必须已声明
+  collectCommands(item.path).forEach((command) => {
+    getReferencedParameters(command).forEach((name) => {
+      if (!declared.has(name)) {
+        errors.push(`${prefix}: ${t('validator.undeclaredParam', { name })}`);
+      }
+    });
+  });
+}
+
+/**
+ * 校验超时时间
+ * 
+ * @param {*} timeout - timeout 字段
+ * @param {string} prefix - 错误信息前缀
+ * @param {string[]} errors - 错误信息列表
+ */
+function validateTimeout(timeout, prefix, errors) {
+  if (timeout !== undefined && (typeof timeout !== 'number' || !Number.isFinite(timeout) || timeout <= 0 || timeout > MAX_TIMEOUT)) {
+    errors.push(`${prefix}: ${t('validator.invalidTimeout', { max: MAX_TIMEOUT })}`);
+  }
+}
+
+/**
+ * 校验环境变量配置
+ * 
+ * @param {*} env - env 字段
+ * @param {string} prefix - 错误信息前缀
+ * @param {string[]} errors - 错误信息列表
+ */
+function validateEnvironment(env, prefix, errors) {
+  if (env === undefined) {
+    return;
+  }
+
+  if (!isPlainObject(env)) {
+    errors.push(`${prefix}: ${t('validator.envNotObject')}`);
+    return;
+  }
+
+  Object.entries(env).forEach(([name, value]) => {
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+      errors.push(`${prefix}: ${t('validator.invalidEnvName', { name })}`);
+    }
+    if (typeof value !== 'string') {
+      errors.push(`${prefix}: ${t('validator.mustBeString', { field: `env.${name}` })}`);
+    }
+  });
+}
+
+/**
+ * 校验菜单项的危险等级和运行确认设置
+ * 
+ * @param {object} item - 菜单项
+ * @param {string} prefix - 错误信息前缀
+ * @param {string[]} errors - 错误信息列表
+ */
+function validateConfirmation(item, prefix, errors) {
+  if (item.danger !== undefined && !DANGER_LEVELS.includes(item.danger)) {
+    errors.push(`${prefix}: ${t('validator.mustBeOneOf', { field: 'danger', values: DANGER_LEVELS.join(t('validator.or')) })}`);
+  }
+  if (item.confirm !== undefined && !CONFIRM_MODES.includes(item.confirm)) {
+    errors.push(`${prefix}: ${t('validator.invalidConfirm')}`);
+  }
+  if (item.confirm_message !== undefined && typeof item.confirm_message !== 'string') {
+    errors.push(`${prefix}: ${t('validator.mustBeString', { field: 'confirm_message' })}`);
+  }
+}
+
+/**
+ * 校验序列菜单项的步骤
+ * 
+ * 每个步骤可以是菜单项路径字符串、{ item, params } 对象或 { command } 对象；
+ * 引用的菜单项必须存在且类型为 executable
+ * 
+ * @param {object} item - 类型为 sequence 的菜单项
+ * @param {string} prefix - 错误信息前缀
+ * @param {object} menus - 全部菜单对象，用于解析步骤引用的菜单项
+ * @param {string[]} errors - 错误信息列表
+ */
+function validateSequenceSteps(item, prefix, menus, errors) {
+  if (item.on_failure !== undefined && !SEQUENCE_FAILURE_MODES.includes(item.on_failure)) {
+    errors.push(`${prefix}: ${t('validator.mustBeOneOf', { field: 'on_failure', values: SEQUENCE_FAILURE_MODES.join(t('validator.or')) })}`);
+  }
+
+  if (!Array.isArray(item.steps) || item.steps.length === 0) {
+    errors.push(`${prefix}: ${t('validator.missingSteps')}`);
+    return;
+  }
+
+  item.steps.forEach((step, index) => {
+    const stepPrefix = `${prefix}: ${t('validator.nthStep', { number: index + 1 })}`;
+    if (!isPlainObject(step) && typeof step !== 'string') {
+      errors.push(`${stepPrefix}: ${t('validator.invalidStep')}`);
+      return;
+    }
+
+    const target = typeof step === 'string' ? step : step.item;
+    if (target !== undefined && isPlainObject(step) && step.command !== undefined) {
+      errors.push(`${stepPrefix}: ${t('validator.itemAndCommand')}`);
+      return;
+    }
+
+    if (target !== undefined) {
+      if (typeof target !== 'string' || !target.trim()) {
+        errors.push(`${stepPrefix}: ${t('validator.emptyStepItem')}`);
+        return;
+      }
+      try {
+        const { item: stepItem } = resolveMenuItemPath(menus, target);
+        if (stepItem.type !== 'executable') {
+          errors.push(`${stepPrefix}: ${t('validator.stepNotExecutable', { target })}`);
+        } else if (isPlainObject(step) && isPlainObject(step.params)) {
+          const declared = (Array.isArray(stepItem.params) ? stepItem.params : []).map(param => param && param.name);
+          Object.keys(step.params).forEach((name) => {
+            if (!declared.includes(name)) {
+              errors.push(`${stepPrefix}: ${t('validator.stepUndeclaredParam', { target, name })}`);
+            }
+          });
+        }
+      } catch (error) {
+        errors.push(`${stepPrefix}: ${t('validator.unresolvedStep', { target, error: error.message })}`);
+      }
+      if (isPlainObject(step) && step.params !== undefined && !isPlainObject(step.params)) {
+        errors.push(`${stepPrefix}: ${t('validator.stepParamsNotObject')}`);
+      }
+    } else if (step.command !== undefined) {
+      validateToolPath(step.command, stepPrefix, errors, 'command');
+      collectCommands(step.command).forEach((command) => {
+        getReferencedParameters(command).forEach((name) => {
+          errors.push(`${stepPrefix}: ${t('validator.inlineCommandParam', { name })}`);
+        });
+      });
+      if (step.name !== undefined && typeof step.name !== 'string') {
+        errors.push(`${stepPrefix}: ${t('validator.mustBeString', { field: 'name' })}`);
+      }
+      validateTimeout(step.timeout, stepPrefix, errors);
+    } else {
+      errors.push(`${stepPrefix}: ${t('validator.missingStepTarget')}`);
+    }
+  });
+}
+
+/**
+ * 校验菜单或菜单项的显示条件
+ * 
+ * @param {*} when - when 字段
+ * @param {string} prefix - 错误信息前缀
+ * @param {string[]} errors - 错误信息列表
+ * @param {string} field - 错误信息中显示的字段名称，嵌套条件使用 when.any[0] 等形式
+ */
+function validateCondition(when, prefix, errors, field = 'when') {
+  if (when === undefined) {
+    return;
+  }
+  if (!isPlainObject(when)) {
+    errors.push(`${prefix}: ${t('validator.mustBeObject', { field })}`);
+    return;
+  }
+
+  Object.entries(when).forEach(([key, value]) => {
+    const keyField = `${field}.${key}`;
+    if (!CONDITION_KEYS.includes(key)) {
+      errors.push(`${prefix}: ${t('validator.unknownConditionKey', { field, key, keys: CONDITION_KEYS.join(', ') })}`);
+    } else if (key === 'os' || key === 'arch') {
+      const allowed = key === 'os' ? SUPPORTED_OPERATING_SYSTEMS : SUPPORTED_ARCHITECTURES;
+      if (![].concat(value).every(name => allowed.includes(name)) || [].concat(value).length === 0) {
+        errors.push(`${prefix}: ${t('validator.mustBeOneOf', { field: keyField, values: allowed.join(t('validator.or')) })}`);
+      }
+    } else if (key === 'env') {
+      if (!isPlainObject(value)) {
+        errors.push(`${prefix}: ${t('validator.mustBeObject', { field: keyField })}`);
+      } else {
+        Object.entries(value).forEach(([name, expected]) => {
+          if (typeof expected !== 'string' && typeof expected !== 'boolean') {
+            errors.push(`${prefix}: ${t('validator.invalidEnvCondition', { field: `${keyField}.${name}` })}`);
+          }
+        });
+      }
+    } else if (key === 'file_exists' || key === 'command') {
+      const values = [].concat(value);
+      if (values.length === 0 || !values.every(entry => typeof entry === 'string' && entry.trim())) {
+        errors.push(`${prefix}: ${t('validator.mustBeStringOrArray', { field: keyField })}`);
+      }
+    } else if (key === 'any') {
+      if (!Array.isArray(value) || value.length === 0) {
+        errors.push(`${prefix}: ${t('validator.mustBeArray', { field: keyField })}`);
+      } else {
+        value.forEach((condition, index) => validateCondition(condition, prefix, errors, `${keyField}[${index}]`));
+      }
+    } else {
+      validateCondition(value, prefix, errors, keyField);
+    }
+  });
+}
+
+/**
+ * 校验单个菜单项
+ * 
+ * @param {object} item - 菜单项
+ * @param {string} prefix - 错误信息前缀
+ * @param {object} menus - 全部菜单对象，用于检查子菜单引用
+ * @param {string[]} errors - 错误信息列表
+ */
+function validateMenuItem(item, prefix, menus, errors) {
+  if (!isPlainObject(item)) {
+    errors.push(`${prefix}: ${t('validator.itemNotObject')}`);
+    return;
+  }
+
+  if (typeof item.id !== 'number' || !Number.isInteger(item.id)) {
+    errors.push(`${prefix}: ${t('validator.mustBeInteger', { field: 'id' })}`);
+  }
+
+  if (typeof item.name !== 'string') {
+    errors.push(`${prefix}: ${t('validator.missingString', { field: 'name' })}`);
+  }
+
+  if (item.key !== undefined && typeof item.key !== 'string') {
+    errors.push(`${prefix}: ${t('validator.mustBeString', { field: 'key' })}`);
+  }
+
+  validateCondition(item.when, prefix, errors);
+
+  if (item.type === undefined) {
+    errors.push(`${prefix}: ${t('validator.missingField', { field: 'type' })}`);
+    return;
+  }
+
+  if (!KNOWN_ITEM_TYPES.includes(item.type)) {
+    errors.push(`${prefix}: ${t('validator.unknownItemType', { type: item.type, types: KNOWN_ITEM_TYPES.join(', ') })}`);
+    return;
+  }
+
+  if (item.type === 'submenu') {
+    if (typeof item.submenu !== 'string' || !item.submenu) {
+      errors.push(`${prefix}: ${t('validator.missingForType', { type: 'submenu', field: 'submenu' })}`);
+    } else if (!menus[item.submenu]) {
+      errors.push(`${prefix}: ${t('validator.unknownMenuReference', { field: 'submenu', menu: item.submenu })}`);
+    }
+  } else if (item.type === 'dynamic') {
+    // 动态菜单的ID不能与 menu.json 中的菜单重复
+    if (typeof item.submenu !== 'string' || !item.submenu) {
+      errors.push(`${prefix}: ${t('validator.missingForType', { type: 'dynamic', field: 'submenu' })}`);
+    } else if (menus[item.submenu]) {
+      errors.push(`${prefix}: ${t('validator.dynamicMenuExists', { menu: item.submenu })}`);
+    }
+    if (item.title !== undefined && typeof item.title !== 'string') {
+      errors.push(`${prefix}: ${t('validator.mustBeString', { field: 'title' })}`);
+    }
+    validateToolPath(item.path, prefix, errors, 'path', 'dynamic');
+    validateTimeout(item.timeout, prefix, errors);
+    validateEnvironment(item.env, prefix, errors);
+  } else if (item.type === 'executable') {
+    validateToolPath(item.path, prefix, errors);
+    validateParameters(item, prefix, errors);
+    validateTimeout(item.timeout, prefix, errors);
+    validateEnvironment(item.env, prefix, errors);
+    validateConfirmation(item, prefix, errors);
+    if (item.log_output !== undefined && typeof item.log_output !== 'boolean') {
+      errors.push(`${prefix}: ${t('validator.mustBeBoolean', { field: 'log_output' })}`);
+    }
+  } else if (item.type === 'sequence') {
+    validateSequenceSteps(item, prefix, menus, errors);
+    validateEnvironment(item.env, prefix, errors);
+    validateConfirmation(item, prefix, errors);
+    if (item.log_output !== undefined && typeof item.log_output !== 'boolean') {
+      errors.push(`${prefix}: ${t('validator.mustBeBoolean', { field: 'log_output' })}`);
+    }
+  }
+}
+
+/**
+ * 校验菜单配置（menu.json）
+ * 
+ * @param {object} config - menu.json 解析后的对象
+ * @param {string} fileName - 错误信息中显示的文件名
+ * @returns {string[]} 校验错误信息列表，为空表示校验通过
+ */
+function validateMenuConfig(config, fileName = 'menu.json') {
+  const errors = [];
+
+  if (!isPlainObject(config) || !isPlainObject(config.menu)) {
+    errors.push(`${fileName}: ${t('validator.missingMenu')}`);
+    return errors;
+  }
+
+  const menus = config.menu;
+  if (!menus.main) {
+    errors.push(`${fileName}: ${t('validator.missingMainMenu')}`);
+  }
+
+  Object.entries(menus).forEach(([menuId, menu]) => {
+    const menuPrefix = `${fileName}: ${t('validator.menu', { menu: menuId })}`;
+
+    if (!isPlainObject(menu)) {
+      errors.push(`${menuPrefix}: ${t('validator.menuNotObject')}`);
+      return;
+    }
+
+    // 收藏夹等由框架生成的菜单使用 __xxx__ 形式的ID
+    if (/^__.*__$/.test(menuId)) {
+      errors.push(`${menuPrefix}: ${t('validator.reservedMenuId')}`);
+    }
+
+    if (menu.title !== undefined && typeof menu.title !== 'string') {
+      errors.push(`${menuPrefix}: ${t('validator.mustBeString', { field: 'title' })}`);
+    }
+
+    validateCondition(menu.when, menuPrefix, errors);
+
+    if (menu.parent !== undefined) {
+      if (typeof menu.parent !== 'string' || !menus[menu.parent]) {
+        errors.push(`${menuPrefix}: ${t('validator.unknownMenuReference', { field: 'parent', menu: menu.parent })}`);
+      }
+    }
+
+    if (!Array.isArray(menu.items)) {
+      errors.push(`${menuPrefix}: ${t('validator.missingItems')}`);
+      return;
+    }
+
+    const seenIds = new Map();
+    const seenKeys = new Map();
+    menu.items.forEach((item, index) => {
+      const prefix = `${fileName}: ${describeItem(menuId, item, index)}`;
+      validateMenuItem(item, prefix, menus, errors);
+
+      if (isPlainObject(item) && item.id !== undefined) {
+        if (seenIds.has(item.id)) {
+          errors.push(`${prefix}: ${t('validator.duplicateId', { id: item.id, number: seenIds.get(item.id) + 1 })}`);
+        } else {
+          seenIds.set(item.id, index);
+        }
+      }
+
+      if (isPlainObject(item) && typeof item.key === 'string') {
+        if (seenKeys.has(item.key)) {
+          errors.push(`${prefix}: ${t('validator.duplicateKey', { key: item.key, number: seenKeys.get(item.key) + 1 })}`);
+        } else {
+          seenKeys.set(item.key, index);
+        }
+      }
+    });
+  });
+
+  // 检查 parent 循环引用，每个循环只报告一次
+  const reportedCycles = new Set();
+  Object.keys(menus).forEach((menuId) => {
+    const chain = [menuId];
+    let current = menus[menuId];
+    while (isPlainObject(current) && typeof current.parent === 'string' && menus[current.parent]) {
+      const parentId = current.parent;
+      const cycleStart = chain.indexOf(parentId);
+      if (cycleStart !== -1) {
+        const cycle = chain.slice(cycleStart);
+        const cycleKey = [...cycle].sort().join('\u0000');
+        if (!reportedCycles.has(cycleKey)) {
+          reportedCycles.add(cycleKey);
+          errors.push(`${fileName}: ${t('validator.parentCycle', { cycle: [...cycle, parentId].join(' -> ') })}`);
+        }
+        break;
+      }
+      chain.push(parentId);
+      current = menus[parentId];
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * 校验动态菜单命令生成的菜单项
+ * 
+ * 每个菜单项都必须设置 id 或 key，只设置 key 的菜单项由调用方按顺序编号后再校验
+ * 
+ * @param {Array} items - 命令输出的菜单项
+ * @param {string} menuId - 动态菜单ID
+ * @param {object} menus - 全部菜单对象，用于检查子菜单引用
+ * @returns {string[]} 校验错误信息列表，为空表示校验通过
+ */
+function validateGeneratedItems(items, menuId, menus) {
+  const errors = [];
+  const seenIds = new Map();
+  const seenKeys = new Map();
+
+  items.forEach((item, index) => {
+    const prefix = describeItem(menuId, item, index);
+    if (isPlainObject(item) && item.id === undefined && item.key === undefined) {
+      errors.push(`${prefix}: ${t('validator.generatedItemIdentity')}`);
+      return;
+    }
+    validateMenuItem(item, prefix, menus, errors);
+
+    if (isPlainObject(item) && item.id !== undefined) {
+      if (seenIds.has(item.id)) {
+        errors.push(`${prefix}: ${t('validator.duplicateId', { id: item.id, number: seenIds.get(item.id) + 1 })}`);
+      } else {
+        seenIds.set(item.id, index);
+      }
+    }
+    if (isPlainObject(item) && item.key !== undefined) {
+      if (seenKeys.has(item.key)) {
+        errors.push(`${prefix}: ${t('validator.duplicateKey', { key: item.key, number: seenKeys.get(item.key) + 1 })}`);
+      } else {
+        seenKeys.set(item.key, index);
+      }
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * 校验设置配置（settings.json）
+ * 
+ * @param {object} settingsConfig - settings.json 解析后的对象
+ * @param {string} fileName - 错误信息中显示的文件名
+ * @returns {string[]} 校验错误信息列表，为空表示校验通过
+ */
+function validateSettingsConfig(settingsConfig, fileName = 'settings.json') {
+  const errors = [];
+
+  if (!isPlainObject(settingsConfig)) {
+    errors.push(`${fileName}: ${t('validator.rootNotObject')}`);
+    return errors;
+  }
+
+  const { app, settings, logo, env, theme, keymap } = settingsConfig;
+
+  if (app !== undefined) {
+    if (!isPlainObject(app)) {
+      errors.push(`${fileName}: ${t('validator.mustBeObject', { field: 'app' })}`);
+    } else {
+      ['name', 'version'].forEach((field) => {
+        if (app[field] !== undefined && typeof app[field] !== 'string') {
+          errors.push(`${fileName}: ${t('validator.mustBeString', { field: `app.${field}` })}`);
+        }
+      });
+      if (app.framework !== undefined && !isValidRange(app.framework)) {
+        errors.push(`${fileName}: ${t('validator.invalidVersionRange', { field: 'app.framework', range: app.framework })}`);
+      }
+      if (app.capabilities !== undefined &&
+        ![].concat(app.capabilities).every(capability => typeof capability === 'string' && capability !== '')) {
+        errors.push(`${fileName}: ${t('validator.mustBeStringOrArray', { field: 'app.capabilities' })}`);
+      }
+      if (app.compatibility !== undefined && !COMPATIBILITY_MODES.includes(app.compatibility)) {
+        errors.push(`${fileName}: ${t('validator.mustBeOneOf', { field: 'app.compatibility', values: COMPATIBILITY_MODES.join(t('validator.or')) })}`);
+      }
+    }
+  }
+
+  if (settings !== undefined) {
+    if (!isPlainObject(settings)) {
+      errors.push(`${fileName}: ${t('validator.mustBeObject', { field: 'settings' })}`);
+    } else {
+      ['display_clear', 'arch_picker', 'log_output', 'mouse'].forEach((field) => {
+        if (settings[field] !== undefined && typeof settings[field] !== 'boolean') {
+          errors.push(`${fileName}: ${t('validator.mustBeBoolean', { field: `settings.${field}` })}`);
+        }
+      });
+      ['arrow_indicator', 'log_dir', 'log_viewer'].forEach((field) => {
+        if (settings[field] !== undefined && typeof settings[field] !== 'string') {
+          errors.push(`${fileName}: ${t('validator.mustBeString', { field: `settings.${field}` })}`);
+        }
+      });
+      if (settings.input_method !== undefined && !INPUT_METHODS.includes(settings.input_method)) {
+        errors.push(`${fileName}: ${t('validator.mustBeOneOf', { field: 'settings.input_method', values: INPUT_METHODS.join(t('validator.or')) })}`);
+      }
+      if (settings.unavailable_items !== undefined && !UNAVAILABLE_ITEM_MODES.includes(settings.unavailable_items)) {
+        errors.push(`${fileName}: ${t('validator.mustBeOneOf', { field: 'settings.unavailable_items', values: UNAVAILABLE_ITEM_MODES.join(t('validator.or')) })}`);
+      }
+      if (settings.language !== undefined && !['auto', ...SUPPORTED_LANGUAGES].includes(settings.language)) {
+        errors.push(`${fileName}: ${t('validator.mustBeOneOf', { field: 'settings.language', values: ['auto', ...SUPPORTED_LANGUAGES].join(t('validator.or')) })}`);
+      }
+    }
+  }
+
+  validateEnvironment(env, fileName, errors);
+
+  if (theme !== undefined) {
+    const themeNames = Object.keys(BUILT_IN_THEMES).join(t('validator.or'));
+    if (typeof theme === 'string') {
+      if (!BUILT_IN_THEMES[theme]) {
+        errors.push(`${fileName}: ${t('validator.mustBeOneOf', { field: 'theme', values: themeNames })}`);
+      }
+    } else if (!isPlainObject(theme)) {
+      errors.push(`${fileName}: ${t('validator.invalidTheme')}`);
+    } else {
+      Object.entries(theme).forEach(([role, style]) => {
+        if (role === 'base') {
+          if (!BUILT_IN_THEMES[style]) {
+            errors.push(`${fileName}: ${t('validator.mustBeOneOf', { field: 'theme.base', values: themeNames })}`);
+          }
+        } else if (!THEME_ROLES.includes(role)) {
+          errors.push(`${fileName}: ${t('validator.unknownThemeRole', { role, roles: THEME_ROLES.join(', ') })}`);
+        } else if (!isValidStyle(style)) {
+          errors.push(`${fileName}: ${t('validator.invalidStyle', { field: `theme.${role}`, style })}`);
+        }
+      });
+    }
+  }
+
+  if (keymap !== undefined) {
+    if (!isPlainObject(keymap)) {
+      errors.push(`${fileName}: ${t('validator.mustBeObject', { field: 'keymap' })}`);
+    } else {
+      Object.entries(keymap).forEach(([action, keys]) => {
+        if (action === 'digit_jump') {
+          if (typeof keys !== 'boolean') {
+            errors.push(`${fileName}: ${t('validator.mustBeBoolean', { field: 'keymap.digit_jump' })}`);
+          }
+        } else if (!KEYMAP_ACTIONS.includes(action)) {
+          errors.push(`${fileName}: ${t('validator.unknownKeymapAction', { action, actions: KEYMAP_ACTIONS.join(', ') })}`);
+        } else if (typeof keys !== 'string' && !Array.isArray(keys)) {
+          errors.push(`${fileName}: ${t('validator.invalidKeyBinding', { field: `keymap.${action}` })}`);
+        } else {
+          [].concat(keys).filter(key => !isValidKeyName(key)).forEach((key) => {
+            errors.push(`${fileName}: ${t('validator.invalidKeyName', { field: `keymap.${action}`, key })}`);
+          });
+        }
+      });
+    }
+  }
+
+  if (logo !== undefined) {
+    if (!isPlainObject(logo)) {
+      errors.push(`${fileName}: ${t('validator.mustBeObject', { field: 'logo' })}`);
+    } else {
+      if (logo.display_logo !== undefined && typeof logo.display_logo !== 'boolean') {
+        errors.push(`${fileName}: ${t('validator.mustBeBoolean', { field: 'logo.display_logo' })}`);
+      }
+      if (logo.logo_path !== undefined && typeof logo.logo_path !== 'string') {
+        errors.push(`${fileName}: ${t('validator.mustBeString', { field: 'logo.logo_path' })}`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * 校验架构选择器配置（arch_picker.json）
+ * 
+ * @param {object} archPickerConfig - arch_picker.json 解析后的对象
+ * @param {string} fileName - 错误信息中显示的文件名
+ * @returns {string[]} 校验错误信息列表，为空表示校验通过
+ */
+function validateArchPickerConfig(archPickerConfig, fileName = 'arch_picker.json') {
+  const errors = [];
+
+  if (!isPlainObject(archPickerConfig)) {
+    errors.push(`${fileName}: ${t('validator.rootNotObject')}`);
+    return errors;
+  }
+
+  if (archPickerConfig.title !== undefined && typeof archPickerConfig.title !== 'string') {
+    errors.push(`${fileName}: ${t('validator.mustBeString', { field: 'title' })}`);
+  }
+
+  if (!Array.isArray(archPickerConfig.options) || archPickerConfig.options.length === 0) {
+    errors.push(`${fileName}: ${t('validator.missingOptions')}`);
+    return errors;
+  }
+
+  const seenIds = new Map();
+  archPickerConfig.options.forEach((option, index) => {
+    const label = isPlainObject(option) && option.id !== undefined ? `id ${option.id}` : t('validator.nthItem', { number: index + 1 });
+    const prefix = `${fileName}: ${t('validator.option', { label })}`;
+
+    if (!isPlainObject(option)) {
+      errors.push(`${prefix}: ${t('validator.optionNotObject')}`);
+      return;
+    }
+
+    if (typeof option.id !== 'number' || !Number.isInteger(option.id)) {
+      errors.push(`${prefix}: ${t('validator.mustBeInteger', { field: 'id' })}`);
+    } else if (seenIds.has(option.id)) {
+      errors.push(`${prefix}: ${t('validator.duplicateId', { id: option.id, number: seenIds.get(option.id) + 1 })}`);
+    } else {
+      seenIds.set(option.id, index);
+    }
+
+    if (typeof option.display !== 'string') {
+      errors.push(`${prefix}: ${t('validator.missingString', { field: 'display' })}`);
+    }
+
+    if (typeof option.value !== 'string' || !option.value) {
+      errors.push(`${prefix}: ${t('validator.missingString', { field: 'value' })}`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * 读取 JSON 配置文件，读取失败时记录错误
+ * 
+ * @param {string} filePath - 文件路径
+ * @param {string[]} errors - 错误信息列表
+ * @returns {object|undefined} 解析后的对象，读取失败时返回undefined
+ */
+function readJsonFile(filePath, errors) {
+  try {
+    return new ConfigHandler(filePath).getConfig();
+  } catch (error) {
+    errors.push(`${path.basename(filePath)}: ${error.message}`);
+    return undefined;
+  }
+}
+
+/**
+ * 校验整个工具包的配置目录
+ * 
+ * menu.json 必须存在；settings.json 可选；arch_picker.json 在启用架构选择器时必须存在
+ * 
+ * @param {string} configDir - 配置目录路径
+ * @returns {string[]} 校验错误信息列表，为空表示校验通过
+ */
+function validateToolPackage(configDir) {
+  const errors = [];
+
+  const menuPath = path.join(configDir, 'menu.json');
+  if (!fs.existsSync(menuPath)) {
+    errors.push(`menu.json: ${t('validator.fileMissing', { path: menuPath })}`);
+  } else {
+    const menuConfig = readJsonFile(menuPath, errors);
+    if (menuConfig !== undefined) {
+      errors.push(...validateMenuConfig(menuConfig));
+    }
+  }
+
+  // 与运行时保持一致：没有 settings.json 时默认启用架构选择器
+  let archPickerEnabled = true;
+  const settingsPath = path.join(configDir, 'settings.json');
+  if (fs.existsSync(settingsPath)) {
+    const settingsConfig = readJsonFile(settingsPath, errors);
+    if (settingsConfig !== undefined) {
+      errors.push(...validateSettingsConfig(settingsConfig));
+      archPickerEnabled = Boolean(isPlainObject(settingsConfig) && settingsConfig.settings?.arch_picker);
+    }
+  }
+
+  const archPickerPath = path.join(configDir, 'arch_picker.json');
+  if (fs.existsSync(archPickerPath)) {
+    const archPickerConfig = readJsonFile(archPickerPath, errors);
+    if (archPickerConfig !== undefined) {
+      errors.push(...validateArchPickerConfig(archPickerConfig));
+    }
+  } else if (archPickerEnabled) {
+    errors.push(`arch_picker.json: ${t('validator.archPickerMissing', { path: archPickerPath })}`);
+  }
+
+  return errors;
+}
+
+module.exports = {
+  ConfigValidationError,
+  KNOWN_ITEM_TYPES,
+  validateMenuConfig,
+  validateGeneratedItems,
+  validateSettingsConfig,
+  validateArchPickerConfig,
+  validateToolPackage
+};
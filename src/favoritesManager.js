@@ -0,0 +1,94 @@
+const fs = require('fs');
+const path = require('path');
+const { t } = require('./i18n');
+const { colorize } = require('./theme');
+const { printError } = require('./uiContext');
+
+/**
+ * 收藏管理器
+ * 
+ * 按工具包保存用户收藏的菜单项，数据保存在用户数据目录下的 favorites.json 中，
+ * 不会修改工具包自身的 menu.json
+ */
+
+class FavoritesManager {
+  /**
+   * 初始化收藏管理器
+   * 
+   * @param {string} userDataPath - 用户数据目录路径
+   */
+  constructor(userDataPath) {
+    this.favoritesFile = path.join(userDataPath, 'favorites.json');
+  }
+
+  /**
+   * 读取全部工具包的收藏数据
+   * 
+   * @returns {object} 工具包配置目录到收藏列表的映射
+   */
+  loadAll() {
+    if (fs.existsSync(this.favoritesFile)) {
+      try {
+        const data = JSON.parse(fs.readFileSync(this.favoritesFile, 'utf8'));
+        return data.packages || {};
+      } catch (error) {
+        printError(colorize('warning', t('favorites.parseFailed')));
+      }
+    }
+
+    return {};
+  }
+
+  /**
+   * 获取指定工具包的收藏列表
+   * 
+   * @param {string} packageKey - 工具包标识（规范化后的配置目录路径）
+   * @returns {Array<{menu: string, id: number}>} 收藏的菜单项，按收藏顺序排列
+   */
+  getFavorites(packageKey) {
+    return this.loadAll()[packageKey] || [];
+  }
+
+  /**
+   * 收藏或取消收藏菜单项
+   * 
+   * @param {string} packageKey - 工具包标识（规范化后的配置目录路径）
+   * @param {string} menuId - 菜单项所在的菜单ID
+   * @param {number} itemId - 菜单项ID
+   * @returns {boolean} 操作后菜单项是否处于收藏状态
+   */
+  toggleFavorite(packageKey, menuId, itemId) {
+    const packages = this.loadAll();
+    const favorites = packages[packageKey] || [];
+    const index = favorites.findIndex(favorite => favorite.menu === menuId && favorite.id === itemId);
+
+    if (index !== -1) {
+      favorites.splice(index, 1);
+    } else {
+      favorites.push({ menu: menuId, id: itemId });
+    }
+
+    if (favorites.length > 0) {
+      packages[packageKey] = favorites;
+    } else {
+      delete packages[packageKey];
+    }
+
+    try {
+      const favoritesDir = path.dirname(this.favoritesFile);
+      if (!fs.existsSync(favoritesDir)) {
+        fs.mkdirSync(favoritesDir, { recursive: true });
+      }
+
+      fs.writeFileSync(this.favoritesFile, JSON.stringify({ packages }, null, 2));
+    } catch (error) {
+      printError(colorize('error', t('favorites.saveFailed', { error: error.message })));
+    }
+
+    return index === -1;
+  }
+}
+
+module.exports = {
+  FavoritesManager
+};
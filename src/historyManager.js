@@ -0,0 +1,111 @@
+const fs = require('fs');
+const path = require('path');
+const { t } = require('./i18n');
+const { colorize } = require('./theme');
+const { printError } = require('./uiContext');
+
+/**
+ * 运行记录管理器
+ * 
+ * 将每次工具运行的信息（菜单项、命令、架构、工具包、开始时间、耗时和返回码）
+ * 持久化保存到用户数据目录下的 history.json 中，最新的记录排在最前面
+ */
+
+class HistoryManager {
+  /**
+   * 初始化运行记录管理器
+   * 
+   * @param {string} userDataPath - 用户数据目录路径
+   * @param {number} maxEntries - 最多保留的记录条数
+   */
+  constructor(userDataPath, maxEntries = 200) {
+    this.historyFile = path.join(userDataPath, 'history.json');
+    this.maxEntries = maxEntries;
+  }
+
+  /**
+   * 获取运行记录
+   * 
+   * @param {number} limit - 最多返回的记录条数，未指定时返回全部记录
+   * @returns {Array} 运行记录列表，最新的记录在前
+   */
+  getEntries(limit = null) {
+    let entries = [];
+
+    if (fs.existsSync(this.historyFile)) {
+      try {
+        const history = JSON.parse(fs.readFileSync(this.historyFile, 'utf8'));
+        entries = Array.isArray(history.entries) ? history.entries : [];
+      } catch (error) {
+        printError(colorize('warning', t('history.parseFailed')));
+      }
+    }
+
+    return limit ? entries.slice(0, limit) : entries;
+  }
+
+  /**
+   * 添加一条运行记录
+   * 
+   * @param {object} entry - 运行记录
+   */
+  addEntry(entry) {
+    // 旧版本的记录保存了环境变量的值，重新保存时只保留变量名
+    const entries = [entry, ...this.getEntries()].slice(0, this.maxEntries).map(item =>
+      item.env && !Array.isArray(item.env) ? { ...item, env: Object.keys(item.env) } : item
+    );
+
+    try {
+      const historyDir = path.dirname(this.historyFile);
+      if (!fs.existsSync(historyDir)) {
+        fs.mkdirSync(historyDir, { recursive: true });
+      }
+
+      fs.writeFileSync(this.historyFile, JSON.stringify({ entries }, null, 2));
+    } catch (error) {
+      printError(colorize('error', t('history.saveFailed', { error: error.message })));
+    }
+  }
+
+  /**
+   * 生成运行记录的单行描述，用于历史记录界面
+   * 
+   * @param {object} entry - 运行记录
+   * @returns {string} 描述文本
+   */
+  formatEntry(entry) {
+    const startTime = new Date(entry.startTime);
+    const pad = value => String(value).padStart(2, '0');
+    const time = `${startTime.getFullYear()}-${pad(startTime.getMonth() + 1)}-${pad(startTime.getDate())} ` +
+      `${pad(startTime.getHours())}:${pad(startTime.getMinutes())}:${pad(startTime.getSeconds())}`;
+    const duration = `${(entry.duration / 1000).toFixed(1)}s`;
+
+    return `${time}  [${entry.package?.name || t('history.unknownPackage')}] ${entry.itemPath}  ` +
+      `(${entry.architecture}, ${this.formatResult(entry)}, ${t('history.duration', { duration })})`;
+  }
+
+  /**
+   * 生成运行结果的描述
+   * 
+   * 超时和取消的运行显示为对应的状态，而不是返回码
+   * 
+   * @param {object} entry - 运行记录或执行结果，包含 status 和 exitCode
+   * @returns {string} 结果描述
+   */
+  formatResult(entry) {
+    if (entry.status === 'timed_out') {
+      return entry.timeout ? `${t('result.timedOut')} (${entry.timeout}s)` : t('result.timedOut');
+    }
+    if (entry.status === 'cancelled') {
+      return t('result.cancelled');
+    }
+    if (entry.status === 'error' || entry.exitCode === null) {
+      return t('result.startFailed');
+    }
+    return t('result.exitCode', { code: entry.exitCode });
+  }
+}
+
+module.exports = {
+  HistoryManager
+};
@@ -0,0 +1,130 @@
+const zhCN = require('./locales/zh-CN.json');
+const en = require('./locales/en.json');
+const { getUIContext } = require('./uiContext');
+
+/**
+ * 国际化
+ * 
+ * 框架内置的界面文本、提示和错误信息都通过语言目录获取，
+ * 语言由 settings.json 中的 settings.language 指定，未指定或为 "auto" 时根据系统区域设置选择。
+ * 界面上下文（见 uiContext）中指定了语言时使用上下文中的语言
+ */
+
+// 语言目录，键为语言代码
+const CATALOGS = {
+  'zh-CN': zhCN,
+  en
+};
+
+// 默认语言，其他语言缺少某条文本时也使用该语言的文本
+const DEFAULT_LANGUAGE = 'zh-CN';
+
+/**
+ * 将语言或区域代码规范化为支持的语言代码
+ * 
+ * 例如 "zh_CN.UTF-8"、"zh-TW" 返回 "zh-CN"，"en_US"、"en-GB" 返回 "en"
+ * 
+ * @param {string} language - 语言或区域代码
+ * @returns {string|null} 支持的语言代码，无法识别时返回null
+ */
+function normalizeLanguage(language) {
+  if (typeof language !== 'string') {
+    return null;
+  }
+
+  const code = language.trim().toLowerCase().replace('_', '-');
+  if (code.startsWith('zh')) {
+    return 'zh-CN';
+  }
+  if (code.startsWith('en')) {
+    return 'en';
+  }
+  return null;
+}
+
+/**
+ * 根据系统区域设置选择语言
+ * 
+ * 依次检查 LC_ALL、LC_MESSAGES 和 LANG 环境变量（忽略 C 和 POSIX），Windows 上使用系统的区域设置；
+ * 检测到中文时使用中文，检测到其他语言时使用英文，无法检测时使用默认语言
+ * 
+ * @returns {string} 语言代码
+ */
+function detectSystemLanguage() {
+  const locale = [process.env.LC_ALL, process.env.LC_MESSAGES, process.env.LANG]
+    .find(value => value && !/^(C|POSIX)([.@]|$)/.test(value));
+
+  if (locale) {
+    return normalizeLanguage(locale) || 'en';
+  }
+
+  if (process.platform === 'win32') {
+    try {
+      return normalizeLanguage(Intl.DateTimeFormat().resolvedOptions().locale) || 'en';
+    } catch (error) {
+      // 无法获取系统区域设置时使用默认语言
+    }
+  }
+
+  return DEFAULT_LANGUAGE;
+}
+
+let currentLanguage = detectSystemLanguage();
+
+/**
+ * 确定实际使用的语言
+ * 
+ * @param {string} [language] - 语言代码，未指定、为 "auto" 或不支持时根据系统区域设置选择
+ * @returns {string} 实际使用的语言代码
+ */
+function resolveLanguage(language) {
+  return (language && language !== 'auto' && normalizeLanguage(language)) || detectSystemLanguage();
+}
+
+/**
+ * 设置进程共用的界面语言
+ * 
+ * @param {string} [language] - 语言代码，未指定、为 "auto" 或不支持时根据系统区域设置选择
+ * @returns {string} 实际使用的语言代码
+ */
+function setLanguage(language) {
+  currentLanguage = resolveLanguage(language);
+  return currentLanguage;
+}
+
+/**
+ * 获取当前界面语言
+ * 
+ * @returns {string} 语言代码，界面上下文中指定了语言时为上下文中的语言
+ */
+function getLanguage() {
+  const context = getUIContext();
+  return (context && context.language) || currentLanguage;
+}
+
+/**
+ * 获取当前语言的文本
+ * 
+ * 文本中的 {名称} 会被替换为 values 中对应的值，没有提供的值保持原样
+ * 
+ * @param {string} key - 文本键，例如 "common.pressEnter"
+ * @param {object} values - 替换文本中占位符的值
+ * @returns {string} 当前语言的文本，语言目录中不存在时返回默认语言的文本或键本身
+ */
+function t(key, values = {}) {
+  const template = CATALOGS[getLanguage()][key] ?? CATALOGS[DEFAULT_LANGUAGE][key] ?? key;
+
+  return template.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    values[name] !== undefined && values[name] !== null ? String(values[name]) : placeholder
+  );
+}
+
+module.exports = {
+  SUPPORTED_LANGUAGES: Object.keys(CATALOGS),
+  normalizeLanguage,
+  detectSystemLanguage,
+  resolveLanguage,
+  setLanguage,
+  getLanguage,
+  t
+};
@@ -0,0 +1,146 @@
+const { getUIContext } = require('./uiContext');
+
+/**
+ * 按键绑定
+ * 
+ * 方向键模式下的按键都通过动作名称查找，工具包可以在 settings.json 的 keymap 中
+ * 为动作重新绑定按键，绑定为空数组时禁用该动作。界面上下文（见 uiContext）中指定了按键绑定时使用上下文中的绑定
+ */
+
+// 按键名称到终端输入序列的映射，其他按键名称表示单个字符
+const KEY_SEQUENCES = {
+  up: ['\u001b[A', '\u001bOA'],
+  down: ['\u001b[B', '\u001bOB'],
+  left: ['\u001b[D', '\u001bOD'],
+  right: ['\u001b[C', '\u001bOC'],
+  home: ['\u001b[H', '\u001bOH', '\u001b[1~', '\u001b[7~'],
+  end: ['\u001b[F', '\u001bOF', '\u001b[4~', '\u001b[8~'],
+  page_up: ['\u001b[5~'],
+  page_down: ['\u001b[6~'],
+  enter: ['\r', '\n'],
+  space: [' '],
+  tab: ['\t'],
+  escape: ['\u001b'],
+  backspace: ['\u007f', '\b'],
+  delete: ['\u001b[3~']
+};
+
+// 默认的按键绑定，动作名称到按键名称列表的映射
+const DEFAULT_KEYMAP = {
+  up: ['up', 'k'],
+  down: ['down', 'j'],
+  first: ['home'],
+  last: ['end'],
+  page_up: ['page_up'],
+  page_down: ['page_down'],
+  select: ['enter'],
+  back: ['left'],
+  main: ['right'],
+  switch_package: ['p'],
+  search: ['/'],
+  history: ['h'],
+  log: ['l'],
+  favorite: ['f'],
+  refresh: ['r'],
+  remove: ['d', 'delete'],
+  rename: ['e'],
+  move_up: ['<'],
+  move_down: ['>'],
+  set_default: ['s'],
+  clean: ['c']
+};
+
+// 可以绑定按键的动作
+const KEYMAP_ACTIONS = Object.keys(DEFAULT_KEYMAP);
+
+/**
+ * 判断按键名称是否有效
+ * 
+ * @param {*} name - 按键名称，例如 "page_up" 或单个字符 "k"
+ * @returns {boolean} 有效时返回true
+ */
+function isValidKeyName(name) {
+  return typeof name === 'string' && (KEY_SEQUENCES[name] !== undefined || [...name].length === 1);
+}
+
+/**
+ * 根据配置生成按键绑定
+ * 
+ * keymap 中每个动作可以是一个按键名称或按键名称数组，未设置的动作使用默认绑定；
+ * digit_jump 为 false 时关闭数字跳转
+ * 
+ * @param {object} [keymap] - settings.json 中的 keymap 配置，未指定时使用默认绑定
+ * @returns {{keyActions: Map<string, string>, digitJump: boolean}} 输入序列到动作名称的映射和是否启用数字跳转
+ */
+function createKeymap(keymap) {
+  const overrides = typeof keymap === 'object' && keymap !== null ? keymap : {};
+
+  const keyActions = new Map();
+  KEYMAP_ACTIONS.forEach((action) => {
+    const keys = overrides[action] !== undefined ? [].concat(overrides[action]) : DEFAULT_KEYMAP[action];
+    keys.filter(isValidKeyName).forEach((key) => {
+      const sequences = KEY_SEQUENCES[key] || [key];
+      sequences.forEach((sequence) => {
+        if (!keyActions.has(sequence)) {
+          keyActions.set(sequence, action);
+        }
+      });
+    });
+  });
+
+  return { keyActions, digitJump: overrides.digit_jump !== false };
+}
+
+let currentKeymap = createKeymap();
+
+/**
+ * 设置进程共用的按键绑定
+ * 
+ * @param {object} [keymap] - settings.json 中的 keymap 配置，未指定时使用默认绑定
+ */
+function setKeymap(keymap) {
+  currentKeymap = createKeymap(keymap);
+}
+
+/**
+ * 获取当前使用的按键绑定
+ * 
+ * @returns {{keyActions: Map<string, string>, digitJump: boolean}} 界面上下文中的按键绑定或进程共用的按键绑定
+ */
+function getKeymap() {
+  const context = getUIContext();
+  return (context && context.keymap) || currentKeymap;
+}
+
+/**
+ * 获取输入对应的动作
+ * 
+ * 大写字母没有单独绑定时与小写字母相同
+ * 
+ * @param {string} input - 终端输入
+ * @returns {string|null} 动作名称，没有绑定时返回null
+ */
+function getKeyAction(input) {
+  const { keyActions } = getKeymap();
+  return keyActions.get(input) || keyActions.get(input.toLowerCase()) || null;
+}
+
+/**
+ * 是否启用数字跳转
+ * 
+ * @returns {boolean} 启用时返回true
+ */
+function isDigitJumpEnabled() {
+  return getKeymap().digitJump;
+}
+
+module.exports = {
+  KEY_SEQUENCES,
+  DEFAULT_KEYMAP,
+  KEYMAP_ACTIONS,
+  createKeymap,
+  setKeymap,
+  getKeyAction,
+  isDigitJumpEnabled,
+  isValidKeyName
+};
@@ -1,6 +1,11 @@
 const fs = require('fs');
+const path = require('path');
 const { NumMenuEngine } = require('./menuEngine');
 const { ArrowMenuEngine } = require('./arrowMenuEngine');
+const { searchMenuEntries } = require('./menuSearch');
+const UIHandler = require('./uiHandler');
+const { evaluateCondition } = require('./conditions');
+const { t } = require('./i18n');
 
 /**
  * 菜单控制器
@@ -9,6 +14,71 @@ const { ArrowMenuEngine } = require('./arrowMenuEngine');
  * 处理菜单间的导航、用户输入响应等操作
  */
 
+// 收藏夹菜单的ID，由框架生成，不会出现在工具包的 menu.json 中
+const FAVORITES_MENU_ID = '__favorites__';
+
+/**
+ * 按路径解析菜单项
+ * 
+ * 路径以 '/' 分隔，例如 main/cpu/stress。第一段可以是菜单ID（省略时从 main 开始），
+ * 其余每一段依次匹配当前菜单中菜单项的 key、id、子菜单名称或显示名称，
+ * 匹配到子菜单项时进入该子菜单继续解析
+ * 
+ * @param {object} menus - 全部菜单对象（menu.json 中的 menu）
+ * @param {string} itemPath - 菜单项路径
+ * @returns {{menuId: string, item: object, menuPath: string[]}} 菜单项所在的菜单ID、菜单项配置以及从主菜单开始的菜单路径
+ * @throws {Error} 路径无法解析时抛出
+ */
+function resolveMenuItemPath(menus, itemPath) {
+  const segments = String(itemPath).split('/').map(segment => segment.trim()).filter(Boolean);
+  if (segments.length === 0) {
+    throw new Error(t('menu.pathEmpty'));
+  }
+
+  let menuId = 'main';
+  if (menus[segments[0]] && segments.length > 1) {
+    menuId = segments.shift();
+  }
+
+  // 从非主菜单开始时，沿 parent 补全菜单路径
+  const menuPath = [menuId];
+  let parentId = menus[menuId]?.parent;
+  while (parentId && menus[parentId] && !menuPath.includes(parentId)) {
+    menuPath.unshift(parentId);
+    parentId = menus[parentId].parent;
+  }
+  let item = null;
+
+  for (let i = 0; i < segments.length; i++) {
+    const segment = segments[i];
+    const menu = menus[menuId];
+    if (!menu || !Array.isArray(menu.items)) {
+      throw new Error(t('menu.notFound', { id: menuId }));
+    }
+
+    item = menu.items.find(menuItem =>
+      menuItem.key === segment ||
+      String(menuItem.id) === segment ||
+      (menuItem.type === 'submenu' && menuItem.submenu === segment) ||
+      (typeof menuItem.name === 'string' && menuItem.name.trim() === segment)
+    );
+
+    if (!item) {
+      throw new Error(t('menu.itemNotFound', { menu: menuId, item: segment }));
+    }
+
+    if (i < segments.length - 1) {
+      if (item.type !== 'submenu') {
+        throw new Error(t('menu.notSubmenu', { item: segment }));
+      }
+      menuId = item.submenu;
+      menuPath.push(menuId);
+    }
+  }
+
+  return { menuId, item, menuPath };
+}
+
 class MenuController {
   /**
    * 初始化菜单控制器
@@ -17,11 +87,79 @@ class MenuController {
    * @param {string} configDir - 配置文件目录路径
    */
   constructor(config, configDir = './config') {
+    // 保留原始配置，收藏夹等生成的菜单只加入浅拷贝的视图配置中
+    this.sourceConfig = config;
+    config = { ...config, menu: { ...config.menu } };
     this.config = config;
+    this.configDir = configDir;
     this.numMenuEngine = new NumMenuEngine(config, configDir);
     this.arrowMenuEngine = new ArrowMenuEngine(config, configDir);
     // 初始化菜单栈，用于支持无限层级的菜单嵌套
     this.menuStack = ["main"];
+    // 本次会话中已生成的动态菜单，菜单ID到生成该菜单的菜单项的映射
+    this.dynamicMenus = new Map();
+    this.applyConditions();
+  }
+
+  /**
+   * 按 when 条件过滤菜单项
+   * 
+   * 不满足条件的菜单项、不满足条件的菜单中的全部菜单项，以及指向这些菜单的子菜单项，根据 settings.unavailable_items 处理：
+   * "hide"（默认）时不显示，"disable" 时显示为不可用。菜单项的ID保持不变。
+   * 过滤结果作为视图配置中的菜单，收藏夹等生成的菜单在此基础上生成
+   */
+  applyConditions() {
+    const menus = this.sourceConfig.menu;
+    const context = this.getConditionContext();
+
+    this.unavailableMenus = new Set(Object.keys(menus).filter(menuId => !evaluateCondition(menus[menuId]?.when, context)));
+    this.baseMenus = {};
+    Object.entries(menus).forEach(([menuId, menu]) => {
+      if (!menu || !Array.isArray(menu.items)) {
+        this.baseMenus[menuId] = menu;
+        return;
+      }
+
+      this.baseMenus[menuId] = { ...menu, items: this.filterMenuItems(menu.items, !this.unavailableMenus.has(menuId)) };
+    });
+
+    Object.assign(this.config.menu, this.baseMenus);
+  }
+
+  /**
+   * 获取计算 when 条件时使用的上下文
+   * 
+   * @returns {{packageDir: string, configDir: string}} 工具包目录和配置目录
+   */
+  getConditionContext() {
+    return { packageDir: path.dirname(this.configDir), configDir: this.configDir };
+  }
+
+  /**
+   * 按 when 条件过滤一个菜单中的菜单项
+   * 
+   * 不可用的菜单项根据 settings.unavailable_items 隐藏或标记为不可用，处理方式见 applyConditions
+   * 
+   * @param {Array} items - 菜单项
+   * @param {boolean} menuAvailable - 菜单本身是否满足条件，不满足时全部菜单项都不可用
+   * @returns {Array} 过滤后的菜单项
+   */
+  filterMenuItems(items, menuAvailable) {
+    const context = this.getConditionContext();
+    const disableUnavailable = this.settingsConfig?.settings?.unavailable_items === 'disable';
+    const filtered = [];
+
+    items.forEach((item) => {
+      const available = menuAvailable && evaluateCondition(item.when, context) &&
+        !(item.type === 'submenu' && this.unavailableMenus.has(item.submenu));
+      if (available) {
+        filtered.push(item);
+      } else if (disableUnavailable) {
+        filtered.push({ ...item, disabled: true });
+      }
+    });
+
+    return filtered;
   }
 
   /**
@@ -68,6 +206,17 @@ class MenuController {
     this.menuStack = ["main"];
   }
 
+  /**
+   * 设置完整的菜单路径
+   * 
+   * 直接跳转到指定菜单，同时保留从主菜单开始的导航层级，使返回上级菜单仍然可用
+   * 
+   * @param {string[]} menuPath - 从主菜单开始的菜单ID路径
+   */
+  setMenuPath(menuPath) {
+    this.menuStack = menuPath.length > 0 ? [...menuPath] : ["main"];
+  }
+
   /**
    * 获取菜单项
    * 
@@ -87,6 +236,282 @@ class MenuController {
     }
   }
 
+  /**
+   * 按路径解析菜单项
+   * 
+   * 路径格式见 resolveMenuItemPath
+   * 
+   * @param {string} itemPath - 菜单项路径
+   * @returns {{menuId: string, item: object, menuPath: string[]}} 菜单项所在的菜单ID、菜单项配置以及从主菜单开始的菜单路径
+   */
+  resolveItemPath(itemPath) {
+    let resolved;
+    try {
+      resolved = resolveMenuItemPath(this.config.menu, itemPath);
+    } catch (error) {
+      // 因不满足 when 条件而隐藏的菜单项在原始配置中仍然可以解析，此时提示不可用
+      let hidden;
+      try {
+        hidden = resolveMenuItemPath(this.sourceConfig.menu, itemPath);
+      } catch (sourceError) {
+        throw error;
+      }
+      throw new Error(t('menu.itemUnavailable', { item: UIHandler.getPlainItemName(hidden.item.name) }));
+    }
+
+    if (resolved.item.disabled) {
+      throw new Error(t('menu.itemUnavailable', { item: UIHandler.getPlainItemName(resolved.item.name) }));
+    }
+    return resolved;
+  }
+
+  /**
+   * 生成菜单项的导航路径描述
+   * 
+   * 使用进入各级子菜单时选择的菜单项名称拼接，例如 "CPU 工具 > 压力测试"
+   * 
+   * @param {string[]} menuPath - 菜单ID路径，例如 ["main", "cpu"]
+   * @param {object} item - 菜单项
+   * @returns {string} 导航路径描述
+   */
+  getItemBreadcrumb(menuPath, item) {
+    const names = [];
+    
+    for (let i = 1; i < menuPath.length; i++) {
+      const parentMenu = this.config.menu[menuPath[i - 1]];
+      const entry = parentMenu?.items?.find(menuItem =>
+        (menuItem.type === 'submenu' || menuItem.type === 'dynamic') && menuItem.submenu === menuPath[i]
+      );
+      names.push(entry ? entry.name.trim() : menuPath[i]);
+    }
+    
+    names.push(item.name.trim());
+    return names.join(' > ');
+  }
+
+  /**
+   * 获取所有菜单中可选择的菜单项
+   * 
+   * 遍历工具包中的所有菜单，收藏夹中的副本、返回上级和返回主菜单这类导航项，
+   * 以及不满足 when 条件的菜单和菜单项不包含在内
+   * 
+   * @returns {Array} 菜单项索引，每项包含 menuId、menuPath、item 和 breadcrumb
+   */
+  getAllItems() {
+    const menus = this.baseMenus;
+    const menuPaths = this.getMenuPaths();
+    
+    const entries = [];
+    menuPaths.forEach((menuPath, menuId) => {
+      (menus[menuId].items || []).forEach((item) => {
+        if (item.type === 'back' || item.type === 'main' || item.disabled || typeof item.name !== 'string') {
+          return;
+        }
+        entries.push({ menuId, menuPath, item, breadcrumb: this.getItemBreadcrumb(menuPath, item) });
+      });
+    });
+    
+    return entries;
+  }
+
+  /**
+   * 计算工具包中每个菜单的导航路径
+   * 
+   * 从主菜单开始按子菜单层级遍历，主菜单无法到达的菜单沿 parent 确定路径；
+   * 不包含收藏夹等框架生成的菜单
+   * 
+   * @returns {Map<string, string[]>} 菜单ID到菜单ID路径的映射
+   */
+  getMenuPaths() {
+    const menus = this.sourceConfig.menu;
+    const menuPaths = new Map();
+    const queue = [["main"]];
+    
+    // 广度优先遍历，记录每个菜单的最短导航路径
+    while (queue.length > 0) {
+      const menuPath = queue.shift();
+      const menuId = menuPath[menuPath.length - 1];
+      if (menuPaths.has(menuId) || !menus[menuId]) {
+        continue;
+      }
+      menuPaths.set(menuId, menuPath);
+      
+      (menus[menuId].items || []).forEach((item) => {
+        if (item.type === 'submenu' && !menuPaths.has(item.submenu)) {
+          queue.push([...menuPath, item.submenu]);
+        }
+      });
+    }
+    
+    // 主菜单无法到达的菜单
+    Object.keys(menus).forEach((menuId) => {
+      if (!menuPaths.has(menuId)) {
+        const menuPath = [menuId];
+        let parentId = menus[menuId].parent;
+        while (parentId && menus[parentId] && !menuPath.includes(parentId)) {
+          menuPath.unshift(parentId);
+          parentId = menus[parentId].parent;
+        }
+        menuPaths.set(menuId, menuPath);
+      }
+    });
+    
+    return menuPaths;
+  }
+
+  /**
+   * 在所有菜单中模糊搜索菜单项
+   * 
+   * @param {string} query - 查询字符串
+   * @param {number} limit - 最多返回的结果数量
+   * @returns {Array} 按相关度排序的匹配结果，每项包含 menuId、menuPath、item 和 breadcrumb
+   */
+  searchItems(query, limit = 20) {
+    return searchMenuEntries(this.getAllItems(), query, limit);
+  }
+
+  /**
+   * 设置收藏的菜单项
+   * 
+   * 有收藏时在主菜单顶部加入收藏夹入口，并生成收藏夹菜单；
+   * 收藏夹中的菜单项是原菜单项的副本，通过 origin 记录其所在的菜单和ID。
+   * 已不存在的菜单项会被忽略
+   * 
+   * @param {Array<{menu: string, id: number}>} favorites - 收藏列表
+   */
+  setFavorites(favorites) {
+    const menus = this.config.menu;
+    const sourceMain = this.baseMenus.main;
+    delete menus[FAVORITES_MENU_ID];
+    menus.main = sourceMain;
+
+    const items = [];
+    (favorites || []).forEach((favorite) => {
+      const item = this.baseMenus[favorite.menu]?.items?.find(menuItem => menuItem.id === favorite.id);
+      if (!item || typeof item.name !== 'string') {
+        return;
+      }
+
+      const id = items.length + 1;
+      const menuPath = this.getMenuPathTo(favorite.menu);
+      const breadcrumb = this.getItemBreadcrumb(menuPath, item)
+        .split(' > ')
+        .map(name => UIHandler.getPlainItemName(name))
+        .join(' > ');
+      items.push({ ...item, id, name: `${id}. ${breadcrumb}`, origin: { menu: favorite.menu, id: favorite.id } });
+    });
+
+    if (items.length === 0 || !sourceMain || !Array.isArray(sourceMain.items)) {
+      return;
+    }
+
+    items.push({ id: items.length + 1, name: `${items.length + 1}. ${t('menu.back')}`, type: 'back' });
+    menus[FAVORITES_MENU_ID] = { title: `★ ${t('favorites.title')}`, parent: 'main', items };
+
+    // 收藏夹入口使用比主菜单现有ID更小的ID，避免冲突
+    const entryId = Math.min(1, ...sourceMain.items.map(item => item.id).filter(Number.isInteger)) - 1;
+    menus.main = {
+      ...sourceMain,
+      items: [
+        { id: entryId, name: `${entryId}. ★ ${t('favorites.title')} (${items.length - 1})`, type: 'submenu', submenu: FAVORITES_MENU_ID, synthetic: true },
+        ...sourceMain.items
+      ]
+    };
+  }
+
+  /**
+   * 设置动态菜单
+   * 
+   * 解析动态菜单项的命令输出并生成菜单，输出可以是菜单项数组，也可以是包含 items（和可选的 title）的对象。
+   * 菜单项必须设置 id 或 key，只设置 key 的菜单项按顺序编号；生成的菜单项与 menu.json 中的菜单项一样按 when 条件过滤，
+   * 菜单末尾自动加入返回上级菜单项。
+   * 生成的菜单在本次会话中保留，直到再次调用本方法刷新
+   * 
+   * @param {object} menuItem - 类型为 dynamic 的菜单项
+   * @param {string} parentId - 动态菜单项所在的菜单ID
+   * @param {string} output - 命令的标准输出
+   * @throws {Error} 输出不是有效的 JSON 或菜单项无效时抛出
+   */
+  setDynamicMenu(menuItem, parentId, output) {
+    let data;
+    try {
+      data = JSON.parse(output);
+    } catch (error) {
+      throw new Error(t('menu.dynamicInvalidJson', { error: error.message }));
+    }
+
+    const generatedItems = Array.isArray(data) ? data : data?.items;
+    if (!Array.isArray(generatedItems)) {
+      throw new Error(t('menu.dynamicMissingItems'));
+    }
+
+    // configValidator 依赖本模块，在使用时再加载以避免循环依赖
+    const { validateGeneratedItems } = require('./configValidator');
+    const items = generatedItems.map((item, index) =>
+      typeof item === 'object' && item !== null && item.id === undefined && item.key !== undefined ? { ...item, id: index + 1 } : item
+    );
+    const errors = validateGeneratedItems(items, menuItem.submenu, this.config.menu);
+    if (errors.length > 0) {
+      throw new Error(`${t('menu.dynamicInvalidItems')}\n${errors.map(error => `  - ${error}`).join('\n')}`);
+    }
+
+    // 生成的菜单项不能收藏
+    const menuItems = this.filterMenuItems(items, true).map(item => ({ ...item, synthetic: true }));
+    const backId = Math.max(0, ...items.map(item => item.id)) + 1;
+    menuItems.push({ id: backId, name: `${backId}. ${t('menu.back')}`, type: 'back', synthetic: true });
+
+    const title = typeof data?.title === 'string' ? data.title : (menuItem.title ?? UIHandler.getPlainItemName(menuItem.name));
+    this.config.menu[menuItem.submenu] = { title, parent: parentId, items: menuItems };
+    this.dynamicMenus.set(menuItem.submenu, menuItem);
+  }
+
+  /**
+   * 判断动态菜单是否已经生成
+   * 
+   * @param {string} menuId - 菜单ID
+   * @returns {boolean} 已生成时返回true
+   */
+  hasDynamicMenu(menuId) {
+    return this.dynamicMenus.has(menuId);
+  }
+
+  /**
+   * 获取生成动态菜单的菜单项
+   * 
+   * @param {string} menuId - 菜单ID
+   * @returns {object|null} 类型为 dynamic 的菜单项，不是动态菜单时返回null
+   */
+  getDynamicMenuSource(menuId) {
+    return this.dynamicMenus.get(menuId) || null;
+  }
+
+  /**
+   * 获取菜单项的收藏标识
+   * 
+   * 收藏夹中的副本返回其原菜单项；收藏夹入口和导航项无法收藏，返回null
+   * 
+   * @param {string} menuId - 菜单项所在的菜单ID
+   * @param {object} item - 菜单项
+   * @returns {{menu: string, id: number}|null} 原菜单项所在的菜单ID和菜单项ID
+   */
+  getFavoriteTarget(menuId, item) {
+    if (!item || item.synthetic || item.type === 'back' || item.type === 'main') {
+      return null;
+    }
+
+    return item.origin ? { ...item.origin } : { menu: menuId, id: item.id };
+  }
+
+  /**
+   * 获取从主菜单到指定菜单的菜单路径
+   * 
+   * @param {string} menuId - 菜单ID
+   * @returns {string[]} 菜单ID路径
+   */
+  getMenuPathTo(menuId) {
+    return this.getMenuPaths().get(menuId) || [menuId];
+  }
+
   /**
    * 获取父菜单ID
    * 
@@ -117,10 +542,11 @@ class MenuController {
   /**
    * 显示当前菜单（方向键模式）
    * 
+   * @param {object} options - 可选设置，initialId 为初始高亮的菜单项ID，message 为提示信息
    * @returns {Promise<number>} 用户选择的菜单项ID
    */
-  async displayInteractiveCurrentMenu() {
-    return await this.arrowMenuEngine.displayInteractiveMenu(this.getCurrentMenu());
+  async displayInteractiveCurrentMenu(options = {}) {
+    return await this.arrowMenuEngine.displayInteractiveMenu(this.getCurrentMenu(), options);
   }
 
   /**
@@ -130,6 +556,8 @@ class MenuController {
    */
   setSettingsConfig(settingsConfig) {
     this.settingsConfig = settingsConfig;
+    // unavailable_items 设置决定不满足条件的菜单项是隐藏还是显示为不可用
+    this.applyConditions();
   }
 
   /**
@@ -181,5 +609,7 @@ class MenuController {
 }
 
 module.exports = {
-  MenuController
+  MenuController,
+  FAVORITES_MENU_ID,
+  resolveMenuItemPath
 };
\ No newline at end of file
@@ -1,5 +1,8 @@
 const fs = require('fs');
 const path = require('path');
+const { t } = require('./i18n');
+const { colorize, colorizeLogo } = require('./theme');
+const { getOutput, print } = require('./uiContext');
 
 /**
  * 数字菜单引擎
@@ -76,20 +79,23 @@ class NumMenuEngine {
     
     const menu = this.config.menu[menuId];
     if (!menu) {
-      console.log('\x1b[31m菜单不存在: ' + menuId + '\x1b[0m');
+      print(colorize('error', t('menu.notFound', { id: menuId })));
       return;
     }
     
     // 显示菜单标题
-    console.log(`\x1b[36m${menu.title}\x1b[0m`);
+    print(colorize('title', menu.title));
+    
+    // 导入 UIHandler（避免循环依赖）
+    const UIHandler = require('./uiHandler');
     
     // 显示菜单项（不带箭头指示符）
     if (menu.items && Array.isArray(menu.items)) {
       menu.items.forEach(item => {
-        console.log(item.name);
+        print(colorize('item', UIHandler.formatItemName(item)));
       });
     } else {
-      console.log('\x1b[31m菜单项不存在或格式错误\x1b[0m');
+      print(colorize('error', t('menu.itemsInvalid')));
     }
   }
 
@@ -139,7 +145,7 @@ class NumMenuEngine {
     
     if (displayClear) {
       // 使用ANSI转义序列清屏，兼容所有平台
-      process.stdout.write('\u001b[2J\u001b[0;0H');
+      getOutput().write('\u001b[2J\u001b[0;0H');
     }
   }
 
@@ -155,13 +161,15 @@ class NumMenuEngine {
     if (displayLogoSetting && this.logoSettings.logo_path) {
       try {
         const logoContent = fs.readFileSync(this.logoSettings.logo_path, 'utf-8');
-        console.log(logoContent);
+        print(colorizeLogo(logoContent));
       } catch (error) {
         // 如果logo文件不存在或读取失败，显示默认标题
-        console.log('\x1b[35m');
-        console.log('---------------------------------');
-        console.log('    Universal Tool Framework    ');
-        console.log('---------------------------------\x1b[0m');
+        print();
+        print(colorize('logo', [
+          '---------------------------------',
+          '    Universal Tool Framework    ',
+          '---------------------------------'
+        ].join('\n')));
       }
     }
   }
@@ -0,0 +1,79 @@
+/**
+ * 菜单搜索
+ * 
+ * 提供跨所有菜单的模糊搜索：查询字符按顺序出现在菜单项名称中即视为匹配，
+ * 连续匹配、单词开头匹配和完整子串匹配会获得更高的分数
+ */
+
+/**
+ * 计算查询字符串与文本的模糊匹配分数
+ * 
+ * @param {string} query - 查询字符串
+ * @param {string} text - 要匹配的文本
+ * @returns {number|null} 匹配分数，越大越相关；不匹配时返回null
+ */
+function fuzzyMatch(query, text) {
+  const needle = query.toLowerCase().replace(/\s+/g, '');
+  const haystack = String(text).toLowerCase();
+
+  if (!needle) {
+    return null;
+  }
+
+  let score = 0;
+  let position = 0;
+  let previousIndex = -2;
+
+  for (const char of needle) {
+    const index = haystack.indexOf(char, position);
+    if (index === -1) {
+      return null;
+    }
+
+    score += 1;
+    if (index === previousIndex + 1) {
+      score += 5; // 连续匹配
+    }
+    if (index === 0 || /[\s\-_.>/|]/.test(haystack[index - 1])) {
+      score += 3; // 单词开头
+    }
+
+    previousIndex = index;
+    position = index + 1;
+  }
+
+  // 完整子串匹配额外加分，较短的文本更相关
+  if (haystack.includes(query.toLowerCase().trim())) {
+    score += 20;
+  }
+
+  return score - haystack.length * 0.01;
+}
+
+/**
+ * 在菜单项索引中搜索
+ * 
+ * 同时匹配菜单项名称和导航路径，名称匹配的权重更高
+ * 
+ * @param {Array} entries - 菜单项索引，每项包含 item 和 breadcrumb
+ * @param {string} query - 查询字符串
+ * @param {number} limit - 最多返回的结果数量
+ * @returns {Array} 按相关度排序的匹配结果
+ */
+function searchMenuEntries(entries, query, limit = 20) {
+  return entries
+    .map((entry) => {
+      const nameScore = fuzzyMatch(query, entry.item.name);
+      const pathScore = fuzzyMatch(query, entry.breadcrumb);
+      const score = Math.max(nameScore === null ? -Infinity : nameScore * 2, pathScore === null ? -Infinity : pathScore);
+      return { ...entry, score };
+    })
+    .filter(entry => entry.score !== -Infinity)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+module.exports = {
+  fuzzyMatch,
+  searchMenuEntries
+};
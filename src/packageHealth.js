@@ -0,0 +1,69 @@
+const fs = require('fs');
+const path = require('path');
+const ConfigHandler = require('./configHandler');
+const { t } = require('./i18n');
+
+/**
+ * 工具包健康检查
+ * 
+ * 快速检查已保存的工具包是否还能加载，只检查文件是否存在以及 JSON 能否解析，
+ * 完整的配置校验由 configValidator 在加载工具包时执行
+ */
+
+// 检查结果的状态，ok 之外的状态都表示工具包无法加载
+const PACKAGE_HEALTH_STATUSES = ['ok', 'missing', 'missing_menu', 'invalid_json', 'missing_arch_picker'];
+
+/**
+ * 检查工具包的状态
+ * 
+ * @param {string} packagePath - 工具包路径
+ * @param {string} configDir - 工具包的配置目录
+ * @returns {{status: string, file?: string, error?: string}} 检查结果，invalid_json 时包含出错的文件名和错误信息
+ */
+function checkPackageHealth(packagePath, configDir) {
+  if (!fs.existsSync(packagePath)) {
+    return { status: 'missing' };
+  }
+  if (!fs.existsSync(path.join(configDir, 'menu.json'))) {
+    return { status: 'missing_menu' };
+  }
+
+  const parsed = {};
+  for (const file of ['menu.json', 'settings.json', 'arch_picker.json']) {
+    const filePath = path.join(configDir, file);
+    if (!fs.existsSync(filePath)) {
+      continue;
+    }
+    try {
+      // 与加载工具包时一样通过 ConfigHandler 解析，允许文件以 BOM 开头
+      parsed[file] = new ConfigHandler(filePath).getConfig();
+    } catch (error) {
+      return { status: 'invalid_json', file, error: error.message };
+    }
+  }
+
+  // 与运行时保持一致：没有 settings.json 时默认启用架构选择器
+  const settings = parsed['settings.json'];
+  const archPickerEnabled = settings === undefined || Boolean(settings && settings.settings && settings.settings.arch_picker);
+  if (archPickerEnabled && parsed['arch_picker.json'] === undefined) {
+    return { status: 'missing_arch_picker' };
+  }
+
+  return { status: 'ok' };
+}
+
+/**
+ * 获取检查结果的说明文本
+ * 
+ * @param {{status: string, file?: string}} health - checkPackageHealth 返回的检查结果
+ * @returns {string} 说明文本
+ */
+function describePackageHealth(health) {
+  return t(`health.${health.status}`, { file: health.file });
+}
+
+module.exports = {
+  PACKAGE_HEALTH_STATUSES,
+  checkPackageHealth,
+  describePackageHealth
+};
@@ -0,0 +1,289 @@
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ConfigHandler = require('./configHandler');
+const { ConfigValidationError, validateToolPackage } = require('./configValidator');
+const { detectOperatingSystem } = require('./systemUtils');
+const { t } = require('./i18n');
+
+/**
+ * 工具包安装器
+ * 
+ * 把压缩包或目录形式的工具包安装到用户数据目录下的 packages/<名称>@<版本> 中，
+ * 名称和版本来自工具包 settings.json 的 app.name 和 app.version
+ */
+
+// 支持的压缩包扩展名
+const ARCHIVE_EXTENSIONS = ['.tar.gz', '.tgz', '.tar', '.zip'];
+
+/**
+ * 获取压缩包的扩展名
+ * 
+ * @param {string} filePath - 文件路径
+ * @returns {string|null} 扩展名，不是支持的压缩包时返回null
+ */
+function getArchiveExtension(filePath) {
+  const lowerPath = filePath.toLowerCase();
+  return ARCHIVE_EXTENSIONS.find(extension => lowerPath.endsWith(extension)) || null;
+}
+
+/**
+ * 解压压缩包到指定目录
+ * 
+ * tar 格式使用 tar 命令；zip 格式在 Linux 上使用 unzip 命令，
+ * Windows 10 和 macOS 自带的 tar 可以直接解压 zip
+ * 
+ * @param {string} archivePath - 压缩包路径
+ * @param {string} extension - 压缩包扩展名
+ * @param {string} destination - 解压目录
+ * @throws {Error} 解压命令不存在或解压失败时抛出
+ */
+function extractArchive(archivePath, extension, destination) {
+  let command;
+  let args;
+  if (extension === '.zip' && detectOperatingSystem() === 'Linux') {
+    command = 'unzip';
+    args = ['-q', archivePath, '-d', destination];
+  } else {
+    command = 'tar';
+    args = [extension === '.tar.gz' || extension === '.tgz' ? '-xzf' : '-xf', archivePath, '-C', destination];
+  }
+
+  try {
+    execFileSync(command, args, { stdio: ['ignore', 'ignore', 'pipe'] });
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error(t('installer.extractCommandMissing', { command }));
+    }
+    const stderr = error.stderr ? error.stderr.toString().trim() : '';
+    throw new Error(t('installer.extractFailed', { error: stderr || error.message }));
+  }
+}
+
+/**
+ * 递归复制目录，符号链接按原样复制
+ * 
+ * @param {string} source - 源目录
+ * @param {string} destination - 目标目录
+ */
+function copyDirectory(source, destination) {
+  fs.mkdirSync(destination, { recursive: true });
+
+  fs.readdirSync(source, { withFileTypes: true }).forEach((entry) => {
+    const sourcePath = path.join(source, entry.name);
+    const destinationPath = path.join(destination, entry.name);
+
+    if (entry.isDirectory()) {
+      copyDirectory(sourcePath, destinationPath);
+    } else if (entry.isSymbolicLink()) {
+      fs.symlinkSync(fs.readlinkSync(sourcePath), destinationPath);
+    } else {
+      fs.copyFileSync(sourcePath, destinationPath);
+      fs.chmodSync(destinationPath, fs.statSync(sourcePath).mode);
+    }
+  });
+}
+
+/**
+ * 查找工具包根目录
+ * 
+ * 压缩包通常直接包含 config 目录，或者只包含一个顶层目录，两种情况都支持
+ * 
+ * @param {string} directory - 解压或复制后的目录
+ * @returns {string|null} 包含 config/menu.json 的目录，找不到时返回null
+ */
+function findPackageRoot(directory) {
+  if (fs.existsSync(path.join(directory, 'config', 'menu.json'))) {
+    return directory;
+  }
+
+  const entries = fs.readdirSync(directory, { withFileTypes: true }).filter(entry => !entry.name.startsWith('.'));
+  if (entries.length === 1 && entries[0].isDirectory()) {
+    const nestedDir = path.join(directory, entries[0].name);
+    if (fs.existsSync(path.join(nestedDir, 'config', 'menu.json'))) {
+      return nestedDir;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * 读取工具包的名称和版本
+ * 
+ * @param {string} packageRoot - 工具包根目录
+ * @returns {{name: string, version: string}} 名称和版本
+ * @throws {Error} settings.json 无法解析或缺少 app.name、app.version 时抛出
+ */
+function readPackageIdentity(packageRoot) {
+  const settingsPath = path.join(packageRoot, 'config', 'settings.json');
+  let settings = {};
+  if (fs.existsSync(settingsPath)) {
+    settings = new ConfigHandler(settingsPath).getConfig();
+  }
+
+  const name = settings.app && settings.app.name;
+  const version = settings.app && settings.app.version;
+  if (typeof name !== 'string' || !name.trim() || typeof version !== 'string' || !version.trim()) {
+    throw new Error(t('installer.missingIdentity'));
+  }
+
+  return { name: name.trim(), version: version.trim() };
+}
+
+/**
+ * 生成安装目录名称，把文件名中不能使用的字符替换为下划线
+ * 
+ * @param {string} name - 工具包名称
+ * @param {string} version - 工具包版本
+ * @returns {string} 目录名称
+ */
+function getInstallDirName(name, version) {
+  return `${name}@${version}`.replace(/[\\/:*?"<>|\s]/g, '_');
+}
+
+class PackageInstaller {
+  /**
+   * 初始化工具包安装器
+   * 
+   * @param {string} userDataPath - 用户数据目录路径
+   */
+  constructor(userDataPath) {
+    this.packagesDir = path.join(userDataPath, 'packages');
+  }
+
+  /**
+   * 安装工具包
+   * 
+   * 先解压或复制到临时目录并校验配置，校验通过后再移动到安装目录
+   * 
+   * @param {string} source - 压缩包或工具包目录路径
+   * @param {object} [options] - 安装选项
+   * @param {boolean} [options.force] - 同名同版本的工具包已安装时覆盖
+   * @returns {{name: string, version: string, path: string}} 安装的工具包
+   * @throws {ConfigValidationError} 工具包配置校验失败时抛出
+   * @throws {Error} 来源不存在、格式不支持或已安装时抛出
+   */
+  install(source, options = {}) {
+    const sourcePath = path.resolve(source);
+    if (!fs.existsSync(sourcePath)) {
+      throw new Error(t('installer.sourceMissing', { path: sourcePath }));
+    }
+
+    const isDirectory = fs.statSync(sourcePath).isDirectory();
+    const extension = isDirectory ? null : getArchiveExtension(sourcePath);
+    if (!isDirectory && !extension) {
+      throw new Error(t('installer.unsupportedSource', { path: sourcePath, formats: ARCHIVE_EXTENSIONS.join(', ') }));
+    }
+
+    fs.mkdirSync(this.packagesDir, { recursive: true });
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'utf-package-'));
+
+    try {
+      const stagingDir = path.join(tempDir, 'package');
+      if (isDirectory) {
+        copyDirectory(sourcePath, stagingDir);
+      } else {
+        fs.mkdirSync(stagingDir);
+        extractArchive(sourcePath, extension, stagingDir);
+      }
+
+      const packageRoot = findPackageRoot(stagingDir);
+      if (!packageRoot) {
+        throw new Error(t('installer.packageNotFound', { path: sourcePath }));
+      }
+
+      const errors = validateToolPackage(path.join(packageRoot, 'config'));
+      if (errors.length > 0) {
+        throw new ConfigValidationError(errors);
+      }
+
+      const { name, version } = readPackageIdentity(packageRoot);
+      const installDir = path.join(this.packagesDir, getInstallDirName(name, version));
+
+      if (fs.existsSync(installDir)) {
+        if (!options.force) {
+          throw new Error(t('installer.alreadyInstalled', { name, version }));
+        }
+        fs.rmSync(installDir, { recursive: true, force: true });
+      }
+
+      // 临时目录和安装目录可能不在同一个文件系统上，不能重命名时改为复制
+      try {
+        fs.renameSync(packageRoot, installDir);
+      } catch (error) {
+        copyDirectory(packageRoot, installDir);
+      }
+
+      return { name, version, path: installDir };
+    } finally {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * 获取已安装的工具包列表
+   * 
+   * @returns {Array<{name: string, version: string, path: string}>} 已安装的工具包
+   */
+  listInstalled() {
+    if (!fs.existsSync(this.packagesDir)) {
+      return [];
+    }
+
+    return fs.readdirSync(this.packagesDir, { withFileTypes: true })
+      .filter(entry => entry.isDirectory())
+      .map((entry) => {
+        const packageRoot = path.join(this.packagesDir, entry.name);
+        try {
+          return { ...readPackageIdentity(packageRoot), path: packageRoot };
+        } catch (error) {
+          return null;
+        }
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * 查找已安装的工具包
+   * 
+   * @param {string} spec - 工具包名称，或 名称@版本
+   * @returns {{name: string, version: string, path: string}} 找到的工具包
+   * @throws {Error} 没有找到，或只指定名称但安装了多个版本时抛出
+   */
+  findInstalled(spec) {
+    const installed = this.listInstalled();
+    const exact = installed.filter(pkg => `${pkg.name}@${pkg.version}` === spec);
+    const matches = exact.length > 0 ? exact : installed.filter(pkg => pkg.name === spec);
+
+    if (matches.length === 0) {
+      throw new Error(t('installer.notInstalled', { spec }));
+    }
+    if (matches.length > 1) {
+      throw new Error(t('installer.ambiguousName', {
+        spec,
+        versions: matches.map(pkg => pkg.version).join(', ')
+      }));
+    }
+
+    return matches[0];
+  }
+
+  /**
+   * 卸载工具包，删除安装目录
+   * 
+   * @param {string} spec - 工具包名称，或 名称@版本
+   * @returns {{name: string, version: string, path: string}} 卸载的工具包
+   * @throws {Error} 没有找到工具包时抛出
+   */
+  uninstall(spec) {
+    const pkg = this.findInstalled(spec);
+    fs.rmSync(pkg.path, { recursive: true, force: true });
+    return pkg;
+  }
+}
+
+module.exports = {
+  PackageInstaller
+};
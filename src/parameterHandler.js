@@ -0,0 +1,195 @@
+const fs = require('fs');
+const path = require('path');
+const { t } = require('./i18n');
+
+/**
+ * 工具参数处理
+ * 
+ * 处理菜单项中声明的 params 参数：校验用户输入、转义为安全的 shell 参数，
+ * 并替换命令中的 {{参数名}} 占位符；同时负责展开 ${PACKAGE_DIR} 等框架提供的路径占位符
+ */
+
+// 支持的参数类型
+const PARAMETER_TYPES = ['number', 'string', 'choice', 'path'];
+
+// 命令中的参数占位符，例如 {{duration}}
+const PARAMETER_PLACEHOLDER = /\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g;
+
+// 框架提供的路径占位符名称，例如 ${PACKAGE_DIR}
+const PATH_PLACEHOLDERS = ['PACKAGE_DIR', 'CONFIG_DIR', 'ARCH', 'OS', 'HOME'];
+
+/**
+ * 获取参数的显示名称
+ * 
+ * @param {object} param - 参数定义
+ * @returns {string} 参数的显示名称
+ */
+function getParameterLabel(param) {
+  return param.label || param.name;
+}
+
+/**
+ * 获取选择类型参数的选项列表
+ * 
+ * choices 中的每一项可以是字符串，也可以是 { value, label } 对象
+ * 
+ * @param {object} param - 参数定义
+ * @returns {{value: string, label: string}[]} 选项列表
+ */
+function getParameterChoices(param) {
+  return (param.choices || []).map((choice) => {
+    if (typeof choice === 'object' && choice !== null) {
+      return { value: String(choice.value), label: choice.label || String(choice.value) };
+    }
+    return { value: String(choice), label: String(choice) };
+  });
+}
+
+/**
+ * 校验并规范化参数值
+ * 
+ * 输入为空时使用默认值；选择类型的参数必须与某个选项的值完全相同（例如 --param 和嵌入接口提供的值），
+ * 不接受选项编号，避免数字选项输错时按编号选中其他选项。交互输入时编号和值的对应由 UIHandler.promptForParameters 处理
+ * 
+ * @param {object} param - 参数定义
+ * @param {string|undefined} rawValue - 用户输入的原始值
+ * @param {string} baseDir - 相对路径的基准目录（路径类型参数使用）
+ * @returns {{value?: string, error?: string}} 规范化后的值或错误信息
+ */
+function normalizeParameterValue(param, rawValue, baseDir = process.cwd()) {
+  const label = getParameterLabel(param);
+  let input = rawValue === undefined || rawValue === null ? '' : String(rawValue).trim();
+
+  if (input === '') {
+    if (param.default !== undefined) {
+      input = String(param.default);
+    } else if (param.required === false) {
+      return { value: '' };
+    } else {
+      return { error: t('param.required', { label }) };
+    }
+  }
+
+  switch (param.type || 'string') {
+    case 'number': {
+      const number = Number(input);
+      if (!Number.isFinite(number)) {
+        return { error: t('param.notNumber', { label }) };
+      }
+      if (param.integer && !Number.isInteger(number)) {
+        return { error: t('param.notInteger', { label }) };
+      }
+      if (param.min !== undefined && number < param.min) {
+        return { error: t('param.belowMin', { label, min: param.min }) };
+      }
+      if (param.max !== undefined && number > param.max) {
+        return { error: t('param.aboveMax', { label, max: param.max }) };
+      }
+      return { value: String(number) };
+    }
+    case 'choice': {
+      const choices = getParameterChoices(param);
+      const matched = choices.find(choice => choice.value === input);
+      if (!matched) {
+        return { error: t('param.invalidChoice', { label, choices: choices.map(choice => choice.value).join(', ') }) };
+      }
+      return { value: matched.value };
+    }
+    case 'path': {
+      if (param.must_exist && !fs.existsSync(path.resolve(baseDir, input))) {
+        return { error: t('param.pathNotFound', { label, path: input }) };
+      }
+      return { value: input };
+    }
+    default: {
+      if (param.pattern && !new RegExp(param.pattern).test(input)) {
+        return { error: t('param.patternMismatch', { label, pattern: param.pattern }) };
+      }
+      return { value: input };
+    }
+  }
+}
+
+/**
+ * 将参数值转义为安全的 shell 参数
+ * 
+ * Windows (cmd.exe) 使用双引号包裹，并单独转义 % 防止环境变量展开；
+ * 其他系统使用单引号包裹
+ * 
+ * @param {string} value - 参数值
+ * @param {string} operatingSystem - 操作系统名称（detectOperatingSystem 的返回值）
+ * @returns {string} 转义后的参数
+ * @throws {Error} 参数值包含无法安全转义的字符时抛出
+ */
+function escapeShellArgument(value, operatingSystem) {
+  const text = String(value);
+
+  if (text.includes('\0')) {
+    throw new Error(t('param.nullCharacter'));
+  }
+
+  if (operatingSystem === 'Windows') {
+    if (/[\r\n]/.test(text)) {
+      throw new Error(t('param.newline'));
+    }
+    return `"${text.replace(/"/g, '""').replace(/%/g, '"^%"')}"`;
+  }
+
+  return `'${text.replace(/'/g, "'\\''")}'`;
+}
+
+/**
+ * 获取命令中引用的参数名称
+ * 
+ * @param {string} command - 命令字符串
+ * @returns {string[]} 引用的参数名称列表
+ */
+function getReferencedParameters(command) {
+  return Array.from(String(command).matchAll(PARAMETER_PLACEHOLDER), match => match[1]);
+}
+
+/**
+ * 将参数值替换到命令中
+ * 
+ * @param {string} command - 包含 {{参数名}} 占位符的命令
+ * @param {object} values - 参数名到参数值的映射
+ * @param {string} operatingSystem - 操作系统名称，用于选择转义方式
+ * @returns {string} 替换后的命令
+ * @throws {Error} 命令引用了未提供的参数时抛出
+ */
+function applyParameters(command, values, operatingSystem) {
+  return command.replace(PARAMETER_PLACEHOLDER, (placeholder, name) => {
+    if (!values || !Object.prototype.hasOwnProperty.call(values, name)) {
+      throw new Error(t('param.undefinedReference', { name }));
+    }
+    return escapeShellArgument(values[name], operatingSystem);
+  });
+}
+
+/**
+ * 展开框架提供的路径占位符
+ * 
+ * 只替换 PATH_PLACEHOLDERS 中的名称，其余 ${...} 原样保留，交给 shell 作为环境变量展开。
+ * 替换的值不会加引号，路径可能包含空格时需要在命令中自行加引号
+ * 
+ * @param {string} text - 包含 ${名称} 占位符的文本
+ * @param {object} values - 占位符名称到值的映射
+ * @returns {string} 展开后的文本
+ */
+function expandPlaceholders(text, values) {
+  return String(text).replace(/\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g, (placeholder, name) =>
+    PATH_PLACEHOLDERS.includes(name) && values[name] !== undefined ? String(values[name]) : placeholder
+  );
+}
+
+module.exports = {
+  PARAMETER_TYPES,
+  PATH_PLACEHOLDERS,
+  getParameterLabel,
+  getParameterChoices,
+  normalizeParameterValue,
+  escapeShellArgument,
+  getReferencedParameters,
+  applyParameters,
+  expandPlaceholders
+};
@@ -1,12 +1,20 @@
 const os = require('os');
+const { execSync } = require('child_process');
 
 /**
  * 系统工具函数
  * 
  * 提供系统相关的实用功能，主要用于系统架构检测
  * 支持多种系统架构，自动映射Node.js架构标识到通用架构名称
+ * 同时提供终止进程树等跨平台的进程操作
  */
 
+// 框架识别的系统架构名称
+const SUPPORTED_ARCHITECTURES = ['X86_64', 'X86', 'ARM64', 'ARM32'];
+
+// 框架识别的操作系统名称
+const SUPPORTED_OPERATING_SYSTEMS = ['Windows', 'Linux', 'MacOS'];
+
 /**
  * 获取当前系统架构
  * 
@@ -51,7 +59,81 @@ function detectOperatingSystem() {
   }
 }
 
+/**
+ * 终止进程及其全部子进程
+ * 
+ * Windows 上使用 taskkill /T 终止整个进程树；其他系统先通过 ps 查找全部子孙进程，
+ * 再依次向根进程和子孙进程发送信号，避免根进程在终止前继续启动新的进程。已退出的进程会被忽略
+ * 
+ * @param {number} pid - 根进程ID
+ * @param {string} signal - 发送的信号（Windows 上总是强制终止）
+ * @returns {number[]} 发送了信号的进程ID，根进程退出后仍可用于终止已被移交的子孙进程
+ */
+function killProcessTree(pid, signal = 'SIGTERM') {
+  if (detectOperatingSystem() === 'Windows') {
+    try {
+      execSync(`taskkill /pid ${pid} /T /F`, { stdio: 'ignore' });
+    } catch (error) {
+      // 进程已经退出
+    }
+    return [pid];
+  }
+
+  const descendants = [];
+  try {
+    const children = new Map();
+    execSync('ps -A -o pid= -o ppid=', { encoding: 'utf8' })
+      .split('\n')
+      .forEach((line) => {
+        const [childPid, parentPid] = line.trim().split(/\s+/).map(Number);
+        if (childPid && !isNaN(parentPid)) {
+          children.set(parentPid, [...(children.get(parentPid) || []), childPid]);
+        }
+      });
+
+    const queue = [pid];
+    while (queue.length > 0) {
+      (children.get(queue.shift()) || []).forEach((childPid) => {
+        descendants.push(childPid);
+        queue.push(childPid);
+      });
+    }
+  } catch (error) {
+    // ps 不可用时只终止根进程
+  }
+
+  const targets = [pid, ...descendants];
+  targets.forEach((targetPid) => {
+    try {
+      process.kill(targetPid, signal);
+    } catch (error) {
+      // 进程已经退出
+    }
+  });
+
+  return targets;
+}
+
+/**
+ * 判断进程是否仍在运行
+ * 
+ * @param {number} pid - 进程ID
+ * @returns {boolean} 进程存在时返回true（包括没有权限向其发送信号的进程）
+ */
+function isProcessRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
 module.exports = {
+  SUPPORTED_ARCHITECTURES,
+  SUPPORTED_OPERATING_SYSTEMS,
   getSystemArchitecture,
-  detectOperatingSystem
+  detectOperatingSystem,
+  killProcessTree,
+  isProcessRunning
 };
\ No newline at end of file
@@ -0,0 +1,208 @@
+const { getUIContext, getOutput } = require('./uiContext');
+
+/**
+ * 界面主题
+ * 
+ * 框架输出中的颜色都通过主题中的命名样式获取，工具包可以在 settings.json 的 theme 中
+ * 选择内置主题或覆盖单个样式。设置了 NO_COLOR 环境变量时只保留粗体、反色等非颜色样式，
+ * 输出不是终端时不输出任何样式。界面上下文（见 uiContext）中指定了主题和输出流时使用上下文中的设置
+ */
+
+// 样式名称到 ANSI 代码的映射
+const STYLE_CODES = {
+  bold: 1,
+  dim: 2,
+  italic: 3,
+  underline: 4,
+  inverse: 7,
+  black: 30,
+  red: 31,
+  green: 32,
+  yellow: 33,
+  blue: 34,
+  magenta: 35,
+  cyan: 36,
+  white: 37,
+  gray: 90,
+  bright_red: 91,
+  bright_green: 92,
+  bright_yellow: 93,
+  bright_blue: 94,
+  bright_magenta: 95,
+  bright_cyan: 96,
+  bright_white: 97,
+  bg_black: 40,
+  bg_red: 41,
+  bg_green: 42,
+  bg_yellow: 43,
+  bg_blue: 44,
+  bg_magenta: 45,
+  bg_cyan: 46,
+  bg_white: 47
+};
+
+// 不属于颜色的样式，设置了 NO_COLOR 时仍然保留
+const ATTRIBUTE_STYLES = ['bold', 'dim', 'italic', 'underline', 'inverse'];
+
+// 主题中的样式角色
+const THEME_ROLES = ['title', 'item', 'selected', 'disabled', 'error', 'warning', 'success', 'info', 'hint', 'logo'];
+
+// 内置主题，每个样式由空格分隔的样式名称组成，空字符串表示不使用样式
+const BUILT_IN_THEMES = {
+  default: {
+    title: 'cyan',
+    item: '',
+    selected: 'inverse',
+    disabled: 'dim',
+    error: 'red',
+    warning: 'yellow',
+    success: 'green',
+    info: 'cyan',
+    hint: 'green',
+    logo: 'magenta'
+  },
+  monochrome: {
+    title: 'bold',
+    item: '',
+    selected: 'inverse',
+    disabled: 'dim',
+    error: 'bold',
+    warning: 'bold',
+    success: '',
+    info: '',
+    hint: 'dim',
+    logo: 'bold'
+  },
+  ocean: {
+    title: 'bold bright_cyan',
+    item: '',
+    selected: 'bright_white bg_blue',
+    disabled: 'gray',
+    error: 'bright_red',
+    warning: 'bright_yellow',
+    success: 'bright_green',
+    info: 'bright_blue',
+    hint: 'cyan',
+    logo: 'bright_blue'
+  },
+  high_contrast: {
+    title: 'bold bright_white',
+    item: 'bright_white',
+    selected: 'bold black bg_yellow',
+    disabled: 'gray',
+    error: 'bold bright_red',
+    warning: 'bold bright_yellow',
+    success: 'bold bright_green',
+    info: 'bright_cyan',
+    hint: 'bright_white',
+    logo: 'bold bright_white'
+  }
+};
+
+/**
+ * 根据配置生成主题
+ * 
+ * theme 可以是内置主题名称，也可以是 { base, 角色: 样式 } 对象，
+ * 对象中未设置的角色使用 base 指定的内置主题（默认为 default）
+ * 
+ * @param {string|object} [theme] - settings.json 中的 theme 配置，未指定时使用默认主题
+ * @returns {{styles: object, customLogo: boolean}} 各角色的样式，以及是否显式设置了 logo 样式
+ */
+function createTheme(theme) {
+  if (typeof theme === 'string') {
+    return { styles: BUILT_IN_THEMES[theme] || BUILT_IN_THEMES.default, customLogo: false };
+  }
+  if (typeof theme === 'object' && theme !== null) {
+    const { base, ...styles } = theme;
+    return {
+      styles: { ...(BUILT_IN_THEMES[base] || BUILT_IN_THEMES.default), ...styles },
+      customLogo: typeof styles.logo === 'string'
+    };
+  }
+  return { styles: BUILT_IN_THEMES.default, customLogo: false };
+}
+
+let currentTheme = createTheme();
+
+/**
+ * 设置进程共用的界面主题
+ * 
+ * @param {string|object} [theme] - settings.json 中的 theme 配置，未指定时使用默认主题
+ */
+function setTheme(theme) {
+  currentTheme = createTheme(theme);
+}
+
+/**
+ * 获取当前使用的主题
+ * 
+ * @returns {{styles: object, customLogo: boolean}} 界面上下文中的主题或进程共用的主题
+ */
+function getTheme() {
+  const context = getUIContext();
+  return (context && context.theme) || currentTheme;
+}
+
+/**
+ * 获取样式对应的 ANSI 代码，并根据输出环境去掉不能使用的样式
+ * 
+ * @param {string} style - 空格分隔的样式名称
+ * @returns {number[]} ANSI 代码列表
+ */
+function getStyleCodes(style) {
+  if (!getOutput().isTTY) {
+    return [];
+  }
+
+  const noColor = Boolean(process.env.NO_COLOR);
+  return String(style || '')
+    .split(/\s+/)
+    .filter(name => STYLE_CODES[name] !== undefined && (!noColor || ATTRIBUTE_STYLES.includes(name)))
+    .map(name => STYLE_CODES[name]);
+}
+
+/**
+ * 使用主题中的样式显示文本
+ * 
+ * @param {string} role - 样式角色，例如 "error"
+ * @param {string} text - 文本
+ * @returns {string} 带样式的文本，不需要样式时返回原文本
+ */
+function colorize(role, text) {
+  const codes = getStyleCodes(getTheme().styles[role]);
+  return codes.length > 0 ? `\x1b[${codes.join(';')}m${text}\x1b[0m` : String(text);
+}
+
+/**
+ * 使用 logo 样式显示工具包的 logo 文件
+ * 
+ * 只有工具包在 theme 中显式设置了 logo 样式时才着色，不改变已有 logo 文件的显示效果
+ * 
+ * @param {string} content - logo 文件内容
+ * @returns {string} 显示的文本
+ */
+function colorizeLogo(content) {
+  return getTheme().customLogo ? colorize('logo', content) : content;
+}
+
+/**
+ * 判断样式是否只包含已知的样式名称
+ * 
+ * @param {*} style - 样式
+ * @returns {boolean} 有效时返回true
+ */
+function isValidStyle(style) {
+  return typeof style === 'string' &&
+    style.split(/\s+/).filter(Boolean).every(name => STYLE_CODES[name] !== undefined);
+}
+
+module.exports = {
+  STYLE_CODES,
+  THEME_ROLES,
+  BUILT_IN_THEMES,
+  createTheme,
+  setTheme,
+  colorize,
+  colorizeLogo,
+  isValidStyle
+};
@@ -1,7 +1,43 @@
-const { spawn, execSync } = require('child_process');
+const { spawn, exec, execSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
 const readline = require('readline');
-const { getSystemArchitecture } = require('./systemUtils');
+const os = require('os');
+const { getSystemArchitecture, detectOperatingSystem, killProcessTree, isProcessRunning } = require('./systemUtils');
 const UIHandler = require('./uiHandler');
+const { applyParameters, expandPlaceholders } = require('./parameterHandler');
+const { t } = require('./i18n');
+const { colorize } = require('./theme');
+
+// 超时和取消时使用的返回码，与常见 shell 的约定一致
+const TIMED_OUT_EXIT_CODE = 124;
+const CANCELLED_EXIT_CODE = 130;
+
+// 发送终止信号后等待进程退出的时间，超过后强制终止
+const KILL_GRACE_PERIOD = 3000;
+
+// 读取命令输出时的默认超时时间（秒）和最大输出长度
+const DEFAULT_CAPTURE_TIMEOUT = 30;
+const MAX_CAPTURE_BUFFER = 10 * 1024 * 1024;
+
+/**
+ * 获取命令和环境变量中可以使用的路径占位符
+ * 
+ * @param {string} architecture - 系统架构
+ * @param {string} operatingSystem - 操作系统
+ * @param {string} toolPackageDir - 工具包根目录路径
+ * @param {string} [configDir] - 配置目录路径
+ * @returns {object} 占位符名称到值的映射
+ */
+function getPathPlaceholders(architecture, operatingSystem, toolPackageDir, configDir) {
+  return {
+    PACKAGE_DIR: toolPackageDir ? path.resolve(toolPackageDir) : process.cwd(),
+    CONFIG_DIR: configDir ? path.resolve(configDir) : undefined,
+    ARCH: architecture,
+    OS: operatingSystem,
+    HOME: os.homedir()
+  };
+}
 
 /**
  * 工具执行器
@@ -11,65 +47,474 @@ const UIHandler = require('./uiHandler');
  */
 
 class ToolExecutor {
+  /**
+   * 初始化工具执行器
+   * 
+   * 未指定输入输出流时，工具直接使用当前进程的终端；嵌入其他程序时可以指定流，
+   * 工具的标准输入、输出和执行信息都通过指定的流传递
+   * 
+   * @param {object} [options] - 执行器选项
+   * @param {stream.Readable} [options.input] - 工具的标准输入
+   * @param {stream.Writable} [options.output] - 工具的标准输出和执行信息
+   * @param {stream.Writable} [options.errorOutput] - 工具的标准错误，默认与 output 相同
+   * @param {boolean} [options.handleInterrupt=true] - 运行期间是否监听进程的 SIGINT 并终止命令；
+   *   为false时不修改进程的信号处理，通过 cancel() 终止命令
+   */
+  constructor(options = {}) {
+    this.input = options.input || null;
+    this.output = options.output || null;
+    this.errorOutput = options.errorOutput || options.output || null;
+    this.handleInterrupt = options.handleInterrupt !== false;
+    // 正在运行的命令的取消函数
+    this.cancelHandlers = new Set();
+  }
+
+  /**
+   * 取消正在运行的命令，效果与运行期间按 Ctrl+C 相同
+   * 
+   * @returns {boolean} 有正在运行的命令时返回true
+   */
+  cancel() {
+    const handlers = Array.from(this.cancelHandlers);
+    handlers.forEach(handler => handler());
+    return handlers.length > 0;
+  }
+
+  /**
+   * 显示一行执行信息
+   * 
+   * @param {string} message - 信息
+   */
+  print(message) {
+    if (this.output) {
+      this.output.write(`${message}\n`);
+    } else {
+      console.log(message);
+    }
+  }
+
+  /**
+   * 解析工具路径
+   * 
+   * 按以下顺序选择与操作系统和架构匹配的命令：
+   * 1. "系统.架构" 形式的键，例如 "Linux.X86_64"
+   * 2. 按系统嵌套的对象中的架构键，例如 { "Linux": { "X86_64": "..." } }
+   * 3. 按系统嵌套的对象中的 default 键，或值为字符串的系统键，例如 { "Linux": "..." }
+   * 4. 架构键，例如 "X86_64"
+   * 5. default 键
+   * 
+   * @param {string|object} toolPath - 工具路径配置
+   * @param {string} architecture - 系统架构
+   * @param {string} operatingSystem - 操作系统
+   * @returns {string} 解析后的命令
+   * @throws {Error} 没有与当前系统和架构匹配的路径时抛出
+   */
+  resolveToolPath(toolPath, architecture, operatingSystem) {
+    if (typeof toolPath === 'string') {
+      return toolPath;
+    }
+    
+    if (typeof toolPath !== 'object' || toolPath === null) {
+      throw new Error(t('executor.invalidToolPath'));
+    }
+    
+    const osEntry = toolPath[operatingSystem];
+    const candidates = [
+      toolPath[`${operatingSystem}.${architecture}`],
+      osEntry && typeof osEntry === 'object' ? osEntry[architecture] : undefined,
+      osEntry && typeof osEntry === 'object' ? osEntry.default : osEntry,
+      toolPath[architecture],
+      toolPath.default
+    ];
+    
+    const resolvedPath = candidates.find(candidate => typeof candidate === 'string' && candidate);
+    if (!resolvedPath) {
+      throw new Error(
+        t('executor.noToolPath', {
+          os: operatingSystem,
+          arch: architecture,
+          configured: Object.keys(toolPath).join(', ') || t('common.none')
+        })
+      );
+    }
+    
+    return resolvedPath;
+  }
+
   /**
    * 执行工具
    * 
-   * 根据配置的路径和系统架构执行外部工具
-   * 支持多架构工具路径配置，自动选择合适的路径
+   * 根据配置的路径、操作系统和系统架构执行外部工具
+   * 支持按系统和架构区分的工具路径配置，详见 resolveToolPath
    * 
-   * @param {string|object} toolPath - 工具路径，可以是字符串或包含多架构路径的对象
+   * @param {string|object} toolPath - 工具路径，可以是字符串或按系统、架构区分的对象
    * @param {string|null} arch - 指定的系统架构，如果为null则使用系统默认架构
    * @param {string} toolPackageDir - 工具包根目录路径，用于设置工作目录
-   * @returns {Promise<void>} 执行完成的Promise
+   * @param {object} options - 执行选项
+   * @param {boolean} [options.waitForEnter=true] - 执行结束后是否等待用户按Enter键返回菜单
+   * @param {object} [options.params] - 参数名到参数值的映射，用于替换命令中的 {{参数名}} 占位符
+   * @param {number} [options.timeout] - 超时时间（秒），超时后终止工具
+   * @param {object} [options.env] - 额外的环境变量，值中的路径占位符会被展开
+   * @param {string} [options.configDir] - 配置目录路径，用于 ${CONFIG_DIR} 占位符
+   * @returns {Promise<object>} 执行结果，包含 command、architecture、operatingSystem、startTime、duration、exitCode 和 status；
+   *   没有可用路径时 command 为null
    */
-  async executeTool(toolPath, arch = null, toolPackageDir = null) {
+  async executeTool(toolPath, arch = null, toolPackageDir = null, options = {}) {
     const architecture = arch || getSystemArchitecture();
+    const operatingSystem = detectOperatingSystem();
     
-    let resolvedPath;
+    let command;
+    let env;
+    try {
+      ({ command, env } = this.prepareCommand(toolPath, architecture, operatingSystem, toolPackageDir, options));
+    } catch (error) {
+      this.print(colorize('error', error.message));
+      
+      if (options.waitForEnter !== false) {
+        await UIHandler.waitForEnterReturnMenu();
+      }
+      return { command: null, architecture, operatingSystem, startTime: new Date(), duration: 0, exitCode: null, status: 'error' };
+    }
     
-    // 如果toolPath是对象（包含不同架构的路径），则选择对应架构的路径
-    if (typeof toolPath === 'object' && toolPath !== null) {
-      // 按优先级选择路径：指定架构 -> X86_64 -> 第一个可用路径
-      resolvedPath = toolPath[architecture] || toolPath['X86_64'] || Object.values(toolPath)[0];
-    } else {
-      resolvedPath = toolPath;
+    return await this.executeCommand(command, toolPackageDir, { ...options, env, architecture, operatingSystem });
+  }
+
+  /**
+   * 生成要运行的命令和环境变量
+   * 
+   * 解析工具路径，展开命令和环境变量中的路径占位符，并替换命令中的参数
+   * 
+   * @param {string|object} toolPath - 工具路径配置
+   * @param {string} architecture - 系统架构
+   * @param {string} operatingSystem - 操作系统
+   * @param {string} toolPackageDir - 工具包根目录路径
+   * @param {object} options - 执行选项，使用其中的 params、env 和 configDir，含义与 executeTool 相同
+   * @returns {{command: string, env: object}} 命令和已展开占位符的环境变量
+   * @throws {Error} 没有可用的工具路径或参数无效时抛出
+   */
+  prepareCommand(toolPath, architecture, operatingSystem, toolPackageDir, options = {}) {
+    // 路径占位符先于参数替换展开，避免展开参数值中的 ${...}
+    const placeholders = getPathPlaceholders(architecture, operatingSystem, toolPackageDir, options.configDir);
+    const env = this.expandEnvironment(options.env, architecture, operatingSystem, toolPackageDir, options.configDir);
+    
+    const command = applyParameters(
+      expandPlaceholders(this.resolveToolPath(toolPath, architecture, operatingSystem), placeholders),
+      options.params,
+      operatingSystem
+    );
+    
+    return { command, env };
+  }
+
+  /**
+   * 展开环境变量值中的路径占位符
+   * 
+   * @param {object} [env] - 环境变量名到值的映射
+   * @param {string} architecture - 系统架构
+   * @param {string} operatingSystem - 操作系统
+   * @param {string} toolPackageDir - 工具包根目录路径
+   * @param {string} [configDir] - 配置目录路径
+   * @returns {object} 已展开占位符的环境变量
+   */
+  expandEnvironment(env, architecture, operatingSystem, toolPackageDir, configDir) {
+    const placeholders = getPathPlaceholders(architecture, operatingSystem, toolPackageDir, configDir);
+    const expanded = {};
+    Object.entries(env || {}).forEach(([name, value]) => {
+      expanded[name] = expandPlaceholders(value, placeholders);
+    });
+    return expanded;
+  }
+
+  /**
+   * 运行工具并读取其标准输出
+   * 
+   * 与 executeTool 使用相同的路径解析和占位符规则，但不显示输出，用于生成动态菜单等场景
+   * 
+   * @param {string|object} toolPath - 工具路径配置
+   * @param {string|null} arch - 指定的系统架构，如果为null则使用系统默认架构
+   * @param {string} toolPackageDir - 工具包根目录路径，用于设置工作目录
+   * @param {object} options - 执行选项
+   * @param {number} [options.timeout] - 超时时间（秒），默认为30秒
+   * @param {object} [options.env] - 额外的环境变量，值中的路径占位符会被展开
+   * @param {string} [options.configDir] - 配置目录路径，用于 ${CONFIG_DIR} 占位符
+   * @returns {Promise<string>} 命令的标准输出
+   * @throws {Error} 没有可用的工具路径、命令失败或超时时抛出
+   */
+  async captureToolOutput(toolPath, arch = null, toolPackageDir = null, options = {}) {
+    const architecture = arch || getSystemArchitecture();
+    const operatingSystem = detectOperatingSystem();
+    const { command, env } = this.prepareCommand(toolPath, architecture, operatingSystem, toolPackageDir, options);
+    const timeout = options.timeout || DEFAULT_CAPTURE_TIMEOUT;
+    
+    return await new Promise((resolve, reject) => {
+      const execOptions = {
+        cwd: toolPackageDir || undefined,
+        env: { ...process.env, ...env },
+        timeout: timeout * 1000,
+        maxBuffer: MAX_CAPTURE_BUFFER,
+        windowsHide: true
+      };
+      
+      exec(command, execOptions, (error, stdout, stderr) => {
+        if (!error) {
+          resolve(stdout);
+        } else if (error.killed) {
+          reject(new Error(t('executor.captureTimedOut', { command, timeout })));
+        } else {
+          const details = String(stderr).trim() || error.message;
+          reject(new Error(t('executor.captureFailed', { command, code: error.code, details })));
+        }
+      });
+    });
+  }
+
+  /**
+   * 执行已解析的命令
+   * 
+   * 显示执行信息、运行命令并记录开始时间和耗时
+   * 
+   * @param {string} command - 要运行的命令
+   * @param {string} toolPackageDir - 工具包根目录路径，用于设置工作目录
+   * @param {object} options - 执行选项
+   * @param {boolean} [options.waitForEnter=true] - 执行结束后是否等待用户按Enter键返回菜单
+   * @param {string} [options.architecture] - 显示和记录用的系统架构
+   * @param {string} [options.operatingSystem] - 显示和记录用的操作系统
+   * @param {string} [options.logFile] - 输出日志文件路径，提供时同时将输出写入该文件
+   * @param {number} [options.timeout] - 超时时间（秒），超时后终止命令
+   * @param {object} [options.env] - 额外的环境变量（已展开占位符）
+   * @returns {Promise<object>} 执行结果，包含 command、architecture、operatingSystem、startTime、duration、exitCode、
+   *   status（success、failed、timed_out、cancelled 或 error）、timeout、env 和 logFile
+   */
+  async executeCommand(command, toolPackageDir = null, options = {}) {
+    const architecture = options.architecture || getSystemArchitecture();
+    const operatingSystem = options.operatingSystem || detectOperatingSystem();
+    
+    // 显示执行信息
+    this.print(colorize('info', t('executor.running', { os: operatingSystem, arch: architecture, command })));
+    
+    const startTime = new Date();
+    const { exitCode, status, logWritten } = await this.runCommand(command, toolPackageDir, {
+      logFile: options.logFile || null,
+      timeout: options.timeout || null,
+      env: options.env || null
+    });
+    const duration = Date.now() - startTime.getTime();
+    
+    // 日志写入失败时不显示日志路径，也不记录到运行记录中
+    if (logWritten) {
+      this.print(colorize('info', t('executor.logSaved', { path: options.logFile })));
     }
     
+    // 等待用户按Enter键返回菜单
+    if (options.waitForEnter !== false) {
+      await UIHandler.waitForEnterReturnMenu();
+    }
+    
+    return {
+      command, architecture, operatingSystem, startTime, duration, exitCode, status,
+      timeout: options.timeout || null,
+      env: options.env && Object.keys(options.env).length > 0 ? options.env : null,
+      logFile: logWritten ? options.logFile : null
+    };
+  }
+
+  /**
+   * 运行命令
+   * 
+   * 通过系统 shell 运行已解析的命令，并将输出直接显示在终端中（指定了输出流时写入输出流）
+   * 指定日志文件时，标准输出和标准错误在显示的同时写入日志文件；日志无法写入时显示警告，命令照常运行
+   * 
+   * 运行期间按 Ctrl+C 或调用 cancel() 只终止命令的进程树，框架本身不会退出；
+   * 指定超时时间时，超时后同样终止整个进程树。进程在收到终止信号后
+   * 一段时间内仍未退出时会被强制终止，此时不再等待仍持有输出管道的后台进程
+   * 
+   * @param {string} command - 要运行的命令
+   * @param {string} toolPackageDir - 工具包根目录路径，用于设置工作目录
+   * @param {object} options - 运行选项
+   * @param {string|null} [options.logFile] - 输出日志文件路径
+   * @param {number|null} [options.timeout] - 超时时间（秒）
+   * @param {object|null} [options.env] - 额外的环境变量，与当前进程的环境变量合并
+   * @returns {Promise<{exitCode: number|null, status: string, logWritten: boolean}>} 命令的返回码和结果状态：
+   *   success、failed、timed_out（返回码 124）、cancelled（返回码 130）或 error（启动失败，返回码为null），
+   *   以及日志是否完整写入
+   */
+  async runCommand(command, toolPackageDir = null, options = {}) {
+    const logFile = options.logFile || null;
+    let logStream = null;
+    let logFailed = false;
+    
+    // 日志写入失败后不再写入日志，输出仍然显示在终端中
+    const onLogError = (error) => {
+      if (!logFailed) {
+        logFailed = true;
+        this.print(colorize('warning', t('executor.logFailed', { path: logFile, error: error.message })));
+      }
+      logStream = null;
+    };
+    
     try {
-      // 显示执行信息
-      console.log(`\x1b[33m正在运行命令 (${architecture}): ${resolvedPath}\x1b[0m`);
-      
       // 设置工作目录为工具包目录，以便相对路径能够正确解析
-      const options = { shell: true, stdio: 'inherit' };
+      // 记录日志或指定了输出流时需要通过管道读取输出，未指定输入流时标准输入直接连接终端
+      const pipeOutput = Boolean(logFile || this.output);
+      const spawnOptions = {
+        shell: true,
+        stdio: [this.input ? 'pipe' : 'inherit', pipeOutput ? 'pipe' : 'inherit', pipeOutput ? 'pipe' : 'inherit']
+      };
       if (toolPackageDir) {
-        options.cwd = toolPackageDir;  // 设置工作目录为工具包目录
+        spawnOptions.cwd = toolPackageDir;  // 设置工作目录为工具包目录
+      }
+      if (options.env) {
+        spawnOptions.env = { ...process.env, ...options.env };
+      }
+      
+      if (logFile) {
+        try {
+          fs.mkdirSync(path.dirname(logFile), { recursive: true });
+          // 不覆盖已有的日志文件
+          logStream = fs.createWriteStream(logFile, { flags: 'wx' });
+          logStream.on('error', onLogError);
+          logStream.write(`# ${t('executor.logCommand', { command })}\n# ${t('executor.logStartTime', { time: new Date().toISOString() })}\n\n`);
+        } catch (error) {
+          onLogError(error);
+        }
       }
       
+      // 工具直接使用终端，启动前确保已关闭鼠标事件报告
+      UIHandler.setMouseReporting(false);
+
       // 在Windows上使用spawn启动可执行文件
-      const child = spawn(resolvedPath, options);
+      const child = spawn(command, spawnOptions);
+      
+      if (pipeOutput) {
+        child.stdout.on('data', (chunk) => {
+          (this.output || process.stdout).write(chunk);
+          if (logStream) {
+            logStream.write(chunk);
+          }
+        });
+        child.stderr.on('data', (chunk) => {
+          (this.errorOutput || process.stderr).write(chunk);
+          if (logStream) {
+            logStream.write(chunk);
+          }
+        });
+      }
+
+      if (this.input) {
+        // 工具退出后输入流可能仍在写入，忽略写入已关闭管道的错误
+        child.stdin.on('error', () => {});
+        this.input.pipe(child.stdin);
+      }
+      
+      // 终止原因：timed_out 或 cancelled
+      let stopReason = null;
+      let signaledPids = [];
+      let killTimer = null;
+      
+      const stopChild = (reason) => {
+        if (stopReason) {
+          return;
+        }
+        stopReason = reason;
+        signaledPids = killProcessTree(child.pid, 'SIGTERM');
+        // 根进程可能先退出而子孙进程忽略了终止信号，因此命令结束后也保留强制终止
+        killTimer = setTimeout(() => {
+          if (child.exitCode === null && child.signalCode === null) {
+            // 根进程仍在运行时重新查找进程树，包括收到终止信号后才启动的进程
+            killProcessTree(child.pid, 'SIGKILL');
+          }
+          signaledPids.forEach((pid) => {
+            try {
+              process.kill(pid, 'SIGKILL');
+            } catch (error) {
+              // 进程已经退出
+            }
+          });
+          // 脱离进程树的后台进程可能仍持有输出管道，close 事件要等管道关闭才会触发，
+          // 因此强制终止后直接关闭管道，不再等待这些进程
+          if (pipeOutput) {
+            child.stdout.destroy();
+            child.stderr.destroy();
+          }
+        }, KILL_GRACE_PERIOD);
+        // 等待强制终止时不阻止框架退出
+        killTimer.unref();
+      };
+      
+      // Ctrl+C 时终止命令而不是退出框架，运行期间接管整个进程的 SIGINT，结束后移除
+      const onInterrupt = () => stopChild('cancelled');
+      if (this.handleInterrupt) {
+        process.on('SIGINT', onInterrupt);
+      }
+      this.cancelHandlers.add(onInterrupt);
+      
+      const timeoutTimer = options.timeout
+        ? setTimeout(() => stopChild('timed_out'), options.timeout * 1000)
+        : null;
+      
+      const cleanup = () => {
+        process.removeListener('SIGINT', onInterrupt);
+        this.cancelHandlers.delete(onInterrupt);
+        clearTimeout(timeoutTimer);
+        if (killTimer) {
+          // 命令结束时只保留仍在运行的进程，全部退出后取消强制终止，避免终止重用了这些进程ID的其他进程
+          signaledPids = signaledPids.filter(isProcessRunning);
+          if (signaledPids.length === 0) {
+            clearTimeout(killTimer);
+          }
+        }
+        if (this.input) {
+          this.input.unpipe(child.stdin);
+        }
+      };
       
       // 等待命令完成
-      await new Promise((resolve, reject) => {
-        child.on('close', (code) => {
-          if (code !== 0) {
-            console.log(`\x1b[31m命令执行结束，返回码：${code}\x1b[0m`);
+      return await new Promise((resolve, reject) => {
+        child.on('close', (code, signal) => {
+          cleanup();
+          
+          let result;
+          if (stopReason === 'timed_out') {
+            this.print(colorize('error', t('executor.timedOut', { timeout: options.timeout })));
+            result = { exitCode: TIMED_OUT_EXIT_CODE, status: 'timed_out' };
+          } else if (stopReason === 'cancelled' || signal === 'SIGINT') {
+            // 终端的 Ctrl+C 也会直接发送给命令，命令可能在框架处理之前就已退出
+            this.print(colorize('warning', t('executor.cancelled')));
+            result = { exitCode: CANCELLED_EXIT_CODE, status: 'cancelled' };
+          } else if (code !== 0) {
+            // 被信号终止时按 shell 的约定使用 128 + 信号编号作为返回码
+            const exitCode = code === null ? 128 + (os.constants.signals[signal] || 0) : code;
+            this.print(colorize('error', t('executor.failed', { code: exitCode })));
+            result = { exitCode, status: 'failed' };
+          } else {
+            this.print(colorize('success', t('executor.succeeded')));
+            result = { exitCode: code, status: 'success' };
+          }
+          
+          if (logStream) {
+            const footer = result.status === 'success' || result.status === 'failed'
+              ? `# ${t('executor.logExitCode', { code: result.exitCode })}`
+              : `# ${t('executor.logResult', { result: t(result.status === 'timed_out' ? 'result.timedOut' : 'result.cancelled') })}`;
+            // 写入成功或失败后都会触发 close，写入失败时 onLogError 已经设置了 logFailed
+            logStream.once('close', () => resolve({ ...result, logWritten: !logFailed }));
+            logStream.end(`\n# ${t('executor.logEndTime', { time: new Date().toISOString() })}\n${footer}\n`);
           } else {
-            console.log(`\x1b[32m命令执行完成\x1b[0m`);
+            resolve({ ...result, logWritten: false });
           }
-          resolve();
         });
         
         child.on('error', (error) => {
-          console.log(`\x1b[31m执行命令时出错：${error.message}\x1b[0m`);
+          cleanup();
           reject(error);
         });
       });
     } catch (error) {
-      console.log(`\x1b[31m执行命令时出错：${error.message}\x1b[0m`);
+      this.print(colorize('error', t('executor.error', { error: error.message })));
+      if (logStream) {
+        logStream.end(`\n# ${t('executor.error', { error: error.message })}\n`);
+      }
+      return { exitCode: null, status: 'error', logWritten: false };
     }
-    
-    // 等待用户按Enter键返回菜单
-    await UIHandler.waitForEnterReturnMenu();
   }
 }
 
@@ -0,0 +1,296 @@
+const EventEmitter = require('events');
+const path = require('path');
+const ApplicationController = require('./applicationController');
+const UIHandler = require('./uiHandler');
+const { t } = require('./i18n');
+
+/**
+ * 可嵌入的工具框架接口
+ * 
+ * 供其他 Node.js 程序加载工具包、浏览菜单和运行工具，不读取终端输入，也不显示交互界面。
+ * 工具的输入输出、用户数据目录都可以由调用方指定
+ * 
+ * 触发的事件：
+ * - warning：工具包与当前框架可能不兼容，参数为警告文本
+ * - navigate：当前菜单改变，参数为 {from, to, path}
+ * - select：选择了菜单项，参数为 {menuId, item}
+ * - toolStart：开始运行工具，参数为 {item, itemPath, architecture, params}
+ * - toolFinish：工具运行结束，参数为 {item, itemPath, result}，result 为 ToolExecutor 返回的执行结果
+ * 
+ * 每个实例的界面语言、主题、按键绑定和输入输出相互独立，加载工具包不会影响同一进程中的其他实例和命令行界面。
+ * 默认不监听进程的 SIGINT，通过 cancel() 终止正在运行的工具
+ */
+
+/**
+ * 生成对外提供的菜单项描述
+ * 
+ * @param {object} item - 菜单项配置
+ * @returns {{id: number, key?: string, name: string, type: string, disabled: boolean, danger?: string}} 菜单项描述
+ */
+function describeMenuItem(item) {
+  return {
+    id: item.id,
+    key: item.key,
+    name: UIHandler.getPlainItemName(item.name),
+    type: item.type,
+    disabled: Boolean(item.disabled),
+    danger: item.danger
+  };
+}
+
+class ToolFramework extends EventEmitter {
+  /**
+   * 初始化工具框架
+   * 
+   * packageDir 和 config 需要提供其中一个
+   * 
+   * @param {object} options - 框架选项
+   * @param {string} [options.packageDir] - 工具包目录（包含 config 目录）或配置目录
+   * @param {{menu: object, settings?: object}} [options.config] - 直接提供的 menu.json 和 settings.json 内容
+   * @param {string} [options.baseDir] - 使用 config 时的工具包根目录，工具路径相对于该目录解析，默认为当前工作目录
+   * @param {string} [options.userDataPath] - 保存运行记录和收藏的目录，默认为用户目录下的 .ut-framework
+   * @param {stream.Readable} [options.input] - 工具的标准输入，未提供时使用终端
+   * @param {stream.Writable} [options.output] - 工具的输出和执行信息，未提供时使用终端
+   * @param {stream.Writable} [options.errorOutput] - 工具的标准错误和警告信息，默认与 output 相同
+   * @param {boolean} [options.handleInterrupt=false] - 运行工具期间是否监听进程的 SIGINT，收到时终止工具而不是退出进程
+   */
+  constructor(options = {}) {
+    super();
+    this.options = options;
+    this.app = new ApplicationController({
+      userDataPath: options.userDataPath,
+      input: options.input,
+      output: options.output,
+      errorOutput: options.errorOutput,
+      handleInterrupt: options.handleInterrupt === true,
+      isolated: true
+    });
+    ['toolStart', 'toolFinish'].forEach((event) => {
+      this.app.on(event, payload => this.emit(event, payload));
+    });
+  }
+
+  /**
+   * 加载工具包
+   * 
+   * 不兼容的警告通过 warning 事件通知，不会等待用户确认
+   * 
+   * @returns {string[]} 兼容性警告，为空表示完全兼容
+   * @throws {ConfigValidationError} 工具包配置校验失败或与当前框架不兼容时抛出
+   * @throws {Error} 没有提供 packageDir 或 config 时抛出
+   */
+  load() {
+    return this.app.runInContext(() => {
+      let warnings;
+      if (this.options.config) {
+        warnings = this.app.loadToolPackageConfig(this.options.config, this.options.baseDir || process.cwd());
+      } else if (this.options.packageDir) {
+        warnings = this.app.loadToolPackage(this.app.resolveConfigDir(path.resolve(this.options.packageDir)));
+      } else {
+        throw new Error(t('api.packageRequired'));
+      }
+
+      warnings.forEach(warning => this.emit('warning', warning));
+      return warnings;
+    });
+  }
+
+  /**
+   * 获取菜单控制器
+   * 
+   * @returns {MenuController} 菜单控制器
+   * @throws {Error} 尚未加载工具包时抛出
+   */
+  getMenuController() {
+    return this.app.runInContext(() => {
+      if (!this.app.menuController) {
+        throw new Error(t('api.notLoaded'));
+      }
+      return this.app.menuController;
+    });
+  }
+
+  /**
+   * 获取当前菜单
+   * 
+   * @returns {{id: string, title: string, path: string[], items: object[]}} 当前菜单的ID、标题、从主菜单开始的菜单路径和菜单项
+   */
+  getCurrentMenu() {
+    return this.app.runInContext(() => {
+      const menuController = this.getMenuController();
+      const menuId = menuController.getCurrentMenu();
+      const menu = menuController.config.menu[menuId] || {};
+
+      return {
+        id: menuId,
+        title: menu.title,
+        path: menuController.getMenuPath(),
+        items: (menu.items || []).map(describeMenuItem)
+      };
+    });
+  }
+
+  /**
+   * 在当前菜单改变时触发 navigate 事件
+   * 
+   * @param {string} from - 改变前的菜单ID
+   */
+  notifyNavigation(from) {
+    const menuController = this.getMenuController();
+    const to = menuController.getCurrentMenu();
+    if (to !== from) {
+      this.emit('navigate', { from, to, path: menuController.getMenuPath() });
+    }
+  }
+
+  /**
+   * 跳转到指定菜单，保留从主菜单开始的导航层级
+   * 
+   * @param {string} menuId - 菜单ID
+   * @throws {Error} 菜单不存在时抛出，动态菜单需要先通过 select 生成
+   */
+  navigate(menuId) {
+    return this.app.runInContext(() => {
+      const menuController = this.getMenuController();
+      if (!menuController.config.menu[menuId]) {
+        throw new Error(t('menu.notFound', { id: menuId }));
+      }
+
+      const from = menuController.getCurrentMenu();
+      menuController.setMenuPath(menuController.getMenuPathTo(menuId));
+      this.notifyNavigation(from);
+    });
+  }
+
+  /**
+   * 返回上级菜单
+   * 
+   * @returns {boolean} 成功返回时为true，已经在主菜单时为false
+   */
+  back() {
+    return this.app.runInContext(() => {
+      const menuController = this.getMenuController();
+      const from = menuController.getCurrentMenu();
+      const moved = menuController.goBack();
+      this.notifyNavigation(from);
+      return moved;
+    });
+  }
+
+  /**
+   * 返回主菜单
+   */
+  home() {
+    return this.app.runInContext(() => {
+      const menuController = this.getMenuController();
+      const from = menuController.getCurrentMenu();
+      menuController.goToMainMenu();
+      this.notifyNavigation(from);
+    });
+  }
+
+  /**
+   * 选择当前菜单中的菜单项
+   * 
+   * 子菜单、动态菜单和返回项改变当前菜单；可执行项和序列以非交互方式运行，
+   * 不显示架构选择器和参数输入，需要确认的菜单项必须通过 options.confirm 预先确认
+   * 
+   * @param {number|string} choice - 菜单项ID或 key
+   * @param {object} [options] - 运行选项
+   * @param {string} [options.arch] - 指定的架构，未指定时使用系统架构
+   * @param {object} [options.params] - 参数名到参数值的映射，未提供的参数使用默认值
+   * @param {{yes?: boolean, names?: string[]}} [options.confirm] - 需要确认的菜单项的预先确认
+   * @param {boolean} [options.refresh] - 选择动态菜单项时重新运行命令生成菜单
+   * @returns {Promise<number|null>} 运行工具时返回工具的返回码，其他菜单项返回null
+   * @throws {Error} 菜单项不存在、不可用、需要确认但未提供确认或动态菜单生成失败时抛出
+   */
+  async select(choice, options = {}) {
+    return this.app.runInContext(async () => {
+      const menuController = this.getMenuController();
+      const menuId = menuController.getCurrentMenu();
+      const menu = menuController.config.menu[menuId] || {};
+      const item = (menu.items || []).find(menuItem =>
+        String(menuItem.id) === String(choice) || (menuItem.key !== undefined && menuItem.key === choice)
+      );
+
+      if (!item) {
+        throw new Error(t('menu.itemNotFound', { item: choice, menu: menuId }));
+      }
+      if (item.disabled) {
+        throw new Error(t('menu.itemUnavailable', { item: UIHandler.getPlainItemName(item.name) }));
+      }
+
+      this.emit('select', { menuId, item: describeMenuItem(item) });
+
+      switch (item.type) {
+        case 'submenu':
+          menuController.setCurrentMenu(item.submenu);
+          break;
+        case 'dynamic':
+          if (options.refresh || !menuController.hasDynamicMenu(item.submenu)) {
+            await this.app.loadDynamicMenu(item, menuId);
+          }
+          menuController.setCurrentMenu(item.submenu);
+          break;
+        case 'back':
+          menuController.goBack();
+          break;
+        case 'main':
+          menuController.goToMainMenu();
+          break;
+        case 'executable':
+        case 'sequence': {
+          let runItem = item;
+          let menuPath = menuController.getMenuPath();
+          if (item.origin) {
+            // 收藏夹中的副本按原菜单项运行
+            runItem = menuController.getMenuItem(item.origin.menu, item.origin.id);
+            menuPath = menuController.getMenuPathTo(item.origin.menu);
+          }
+
+          await this.app.confirmRun(this.app.getConfirmation(runItem), { interactive: false, confirm: options.confirm });
+          const runOptions = { arch: options.arch, params: options.params, confirm: options.confirm, menuPath, interactive: false };
+          const code = runItem.type === 'sequence'
+            ? await this.app.runSequenceItem(runItem, runOptions)
+            : await this.app.runExecutableItem(runItem, runOptions);
+          return code === null ? 1 : code;
+        }
+        default:
+          throw new Error(t('app.unknownItemType'));
+      }
+
+      this.notifyNavigation(menuId);
+      return null;
+    });
+  }
+
+  /**
+   * 按菜单路径运行菜单项，不改变当前菜单
+   * 
+   * @param {string} itemPath - 菜单项路径，例如 main/cpu/stress，格式与 utf run 相同
+   * @param {object} [options] - 运行选项，含义与 select 相同
+   * @returns {Promise<number>} 工具的返回码
+   * @throws {Error} 菜单项不存在、不可执行或需要确认但未提供确认时抛出
+   */
+  async run(itemPath, options = {}) {
+    return this.app.runInContext(async () => {
+      this.getMenuController();
+      return await this.app.runItemByPath(itemPath, options);
+    });
+  }
+
+  /**
+   * 终止正在运行的工具
+   * 
+   * 与命令行界面中按 Ctrl+C 相同：终止工具的进程树，select 或 run 返回130，序列不再运行后续步骤
+   * 
+   * @returns {boolean} 有正在运行的工具时为true
+   */
+  cancel() {
+    return this.app.toolExecutor.cancel();
+  }
+}
+
+module.exports = {
+  ToolFramework
+};
@@ -0,0 +1,111 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * 界面上下文
+ * 
+ * 命令行界面独占整个进程，界面语言、主题、按键绑定和输入输出都使用进程共用的设置；
+ * 嵌入其他程序时每个 ToolFramework 实例有自己的上下文，实例的操作在 runWithUIContext 中执行，
+ * 期间（包括其中的异步操作）i18n、theme、keymap 和界面输出优先使用上下文中的设置
+ * 
+ * 上下文对象的字段都可以为null，为null时使用进程共用的设置：
+ * - input / output / errorOutput: 输入流、输出流和错误输出流
+ * - language: 语言代码（i18n.resolveLanguage 的返回值）
+ * - theme: 主题（theme.createTheme 的返回值）
+ * - keymap: 按键绑定（keymap.createKeymap 的返回值）
+ */
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * 获取当前的界面上下文
+ * 
+ * @returns {object|null} 界面上下文，不在任何上下文中时返回null
+ */
+function getUIContext() {
+  return storage.getStore() || null;
+}
+
+/**
+ * 在界面上下文中执行操作
+ * 
+ * @param {object} context - 界面上下文
+ * @param {Function} callback - 要执行的操作
+ * @returns {*} callback 的返回值
+ */
+function runWithUIContext(context, callback) {
+  return storage.run(context, callback);
+}
+
+/**
+ * 将回调函数绑定到当前的界面上下文
+ * 
+ * 输入流的事件回调不在注册时的上下文中执行，需要先绑定才能使用实例的语言、主题和按键绑定
+ * 
+ * @param {Function} callback - 回调函数
+ * @returns {Function} 在当前上下文中执行 callback 的函数，不在上下文中时返回 callback 本身
+ */
+function bindUIContext(callback) {
+  const context = getUIContext();
+  return context ? (...args) => storage.run(context, () => callback(...args)) : callback;
+}
+
+/**
+ * 获取界面的输入流
+ * 
+ * @returns {stream.Readable} 上下文中的输入流，未指定时为 process.stdin
+ */
+function getInput() {
+  const context = getUIContext();
+  return (context && context.input) || process.stdin;
+}
+
+/**
+ * 获取界面的输出流
+ * 
+ * @returns {stream.Writable} 上下文中的输出流，未指定时为 process.stdout
+ */
+function getOutput() {
+  const context = getUIContext();
+  return (context && context.output) || process.stdout;
+}
+
+/**
+ * 显示一行信息
+ * 
+ * @param {string} [message] - 信息
+ */
+function print(message = '') {
+  const context = getUIContext();
+  if (context && context.output) {
+    context.output.write(`${message}\n`);
+  } else {
+    console.log(message);
+  }
+}
+
+/**
+ * 显示一行警告或错误信息
+ * 
+ * 命令行界面中输出到标准错误，避免混入 --json 等需要解析的输出
+ * 
+ * @param {string} message - 信息
+ */
+function printError(message) {
+  const context = getUIContext();
+  const errorOutput = context && (context.errorOutput || context.output);
+  if (errorOutput) {
+    errorOutput.write(`${message}\n`);
+  } else {
+    console.error(message);
+  }
+}
+
+module.exports = {
+  getUIContext,
+  runWithUIContext,
+  bindUIContext,
+  getInput,
+  getOutput,
+  print,
+  printError
+};
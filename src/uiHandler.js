@@ -1,6 +1,18 @@
 const readline = require('readline');
 const fs = require('fs');
 const path = require('path');
+const {
+  getParameterLabel,
+  getParameterChoices,
+  normalizeParameterValue
+} = require('./parameterHandler');
+const { t } = require('./i18n');
+const { colorize, colorizeLogo } = require('./theme');
+const { getKeyAction, isDigitJumpEnabled } = require('./keymap');
+const { bindUIContext, getInput, getOutput, print, printError } = require('./uiContext');
+
+// 终端的鼠标事件报告是否已打开
+let mouseReporting = false;
 
 /**
  * 用户界面处理器
@@ -20,11 +32,11 @@ class UIHandler {
   static waitForEnter() {
     return new Promise((resolve) => {
       const rl = readline.createInterface({
-        input: process.stdin,
-        output: process.stdout,
+        input: getInput(),
+        output: getOutput(),
       });
 
-      rl.question('\x1b[32m按Enter键继续...\x1b[0m', () => {
+      rl.question(colorize('hint', t('ui.pressEnter')), () => {
         rl.close();
         resolve();
       });
@@ -41,11 +53,11 @@ class UIHandler {
   static waitForEnterReturnMenu() {
     return new Promise((resolve) => {
       const rl = readline.createInterface({
-        input: process.stdin,
-        output: process.stdout
+        input: getInput(),
+        output: getOutput()
       });
       
-      rl.question('\x1b[32m按Enter键返回菜单...\x1b[0m', () => {
+      rl.question(colorize('hint', t('ui.pressEnterReturnMenu')), () => {
         rl.close();
         resolve();
       });
@@ -89,12 +101,12 @@ class UIHandler {
       const configContent = fs.readFileSync(archPickerConfigPath, 'utf8');
       config = JSON.parse(configContent);
     } catch (error) {
-      console.error('\x1b[31m配置文件不存在，请检查软件配置！\x1b[0m');
+      printError(colorize('error', t('ui.configMissing')));
       throw error;
     }
 
     // 清屏
-    process.stdout.write('\u001b[2J\u001b[0;0H');
+    getOutput().write('\u001b[2J\u001b[0;0H');
 
     // 将配置选项转换为菜单项格式
     const menuItems = config.options.map(option => ({
@@ -127,6 +139,290 @@ class UIHandler {
     return await UIHandler.architecturePickerWithArrows(configDir);
   }
 
+  /**
+   * 使用数字输入的架构选择器
+   * 
+   * 输入选项的编号选择架构，'b' 返回上级菜单，'m' 返回主菜单
+   * 
+   * @param {string} configDir - 配置文件目录路径
+   * @param {object} settingsConfig - 应用设置配置
+   * @returns {Promise<string>} 用户选择的架构字符串
+   */
+  static async architecturePickerWithNumbers(configDir = './config', settingsConfig = null) {
+    const archPickerConfigPath = path.join(configDir, 'arch_picker.json');
+
+    let config;
+    try {
+      const configContent = fs.readFileSync(archPickerConfigPath, 'utf8');
+      config = JSON.parse(configContent);
+    } catch (error) {
+      printError(colorize('error', t('ui.configMissing')));
+      throw error;
+    }
+
+    for (;;) {
+      if (settingsConfig?.settings?.display_clear) {
+        getOutput().write('\u001b[2J\u001b[0;0H');
+      }
+      print(colorize('title', config.title));
+      config.options.forEach(option => print(colorize('item', option.display)));
+
+      const answer = await UIHandler.question('>>> ');
+      if (answer.toLowerCase() === 'b') {
+        throw new Error('BACK_TO_PARENT_MENU');
+      } else if (answer.toLowerCase() === 'm') {
+        throw new Error('BACK_TO_MAIN_MENU');
+      }
+
+      const selectedOption = /^\d+$/.test(answer)
+        ? config.options.find(option => option.id === parseInt(answer))
+        : null;
+      if (selectedOption) {
+        return selectedOption.value;
+      }
+
+      print(colorize('error', t('app.invalidChoice')));
+      await UIHandler.waitForEnter();
+    }
+  }
+
+  /**
+   * 读取一行用户输入
+   * 
+   * @param {string} prompt - 提示信息
+   * @returns {Promise<string>} 去除首尾空白后的输入内容
+   */
+  static question(prompt) {
+    return new Promise((resolve) => {
+      const rl = readline.createInterface({
+        input: getInput(),
+        output: getOutput()
+      });
+      
+      rl.question(prompt, (input) => {
+        rl.close();
+        resolve(input ? input.trim() : '');
+      });
+    });
+  }
+
+  /**
+   * 去掉菜单项名称开头的编号，例如 "3. 格式化磁盘" 返回 "格式化磁盘"
+   * 
+   * @param {string} name - 菜单项名称
+   * @returns {string} 去掉编号后的名称
+   */
+  static getPlainItemName(name) {
+    return String(name).trim().replace(/^\d+[.)、]\s*/, '');
+  }
+
+  /**
+   * 生成菜单项的显示文本
+   * 
+   * 根据菜单项的 danger 等级添加警告标记和样式：warning 使用主题的 warning 样式，critical 使用 error 样式；
+   * 不满足显示条件的菜单项使用 disabled 样式并标记为不可用
+   * 
+   * @param {object} item - 菜单项
+   * @returns {string} 显示文本
+   */
+  static formatItemName(item) {
+    if (item.disabled) {
+      return colorize('disabled', `${item.name} [${t('ui.unavailable')}]`);
+    }
+    if (item.danger === 'critical') {
+      return colorize('error', `${item.name} [${t('ui.dangerCritical')}]`);
+    }
+    if (item.danger === 'warning') {
+      return colorize('warning', `${item.name} [${t('ui.dangerWarning')}]`);
+    }
+    return item.name;
+  }
+
+  /**
+   * 运行前的确认界面
+   * 
+   * yes_no 模式需要输入 y 确认；type_name 模式需要完整输入菜单项名称
+   * 
+   * @param {{mode: string, name: string, message?: string}} confirmation - 确认要求
+   * @returns {Promise<boolean>} 用户确认时返回true
+   */
+  static async confirmAction(confirmation) {
+    if (confirmation.message) {
+      print(colorize('warning', confirmation.message));
+    }
+
+    if (confirmation.mode === 'type_name') {
+      print(colorize('error', t('ui.confirmTypeName', { name: confirmation.name })));
+      const answer = await UIHandler.question('> ');
+      return answer === confirmation.name;
+    }
+
+    const answer = await UIHandler.question(colorize('warning', t('ui.confirmYesNo', { name: confirmation.name })));
+    return ['y', 'yes'].includes(answer.toLowerCase());
+  }
+
+  /**
+   * 计算文本在终端中的显示宽度
+   * 
+   * 中日韩文字和全角字符占两列，其余字符占一列
+   * 
+   * @param {string} text - 文本
+   * @returns {number} 显示宽度
+   */
+  static getDisplayWidth(text) {
+    let width = 0;
+    for (const char of String(text)) {
+      width += /[\u1100-\u115f\u2e80-\ua4cf\uac00-\ud7a3\uf900-\ufaff\ufe30-\ufe4f\uff00-\uff60\uffe0-\uffe6]/.test(char) ? 2 : 1;
+    }
+    return width;
+  }
+
+  /**
+   * 去掉文本中的 ANSI 样式代码
+   * 
+   * @param {string} text - 文本
+   * @returns {string} 不含样式代码的文本
+   */
+  static stripAnsi(text) {
+    return String(text).replace(/\x1b\[[0-9;]*m/g, '');
+  }
+
+  /**
+   * 将文本截断到指定的显示宽度，避免在终端中折行
+   * 
+   * 样式代码不计入宽度；截断的文本以 "…" 结尾，并在末尾重置样式
+   * 
+   * @param {string} text - 文本，可以包含 ANSI 样式代码
+   * @param {number} maxWidth - 最大显示宽度
+   * @returns {string} 截断后的文本，未超过宽度时返回原文本
+   */
+  static truncateToWidth(text, maxWidth) {
+    if (UIHandler.getDisplayWidth(UIHandler.stripAnsi(text)) <= maxWidth) {
+      return text;
+    }
+
+    let result = '';
+    let width = 0;
+    for (const part of String(text).split(/(\x1b\[[0-9;]*m)/)) {
+      if (/^\x1b\[[0-9;]*m$/.test(part)) {
+        result += part;
+        continue;
+      }
+      for (const char of part) {
+        const charWidth = UIHandler.getDisplayWidth(char);
+        if (width + charWidth > maxWidth - 1) {
+          return `${result}…\x1b[0m`;
+        }
+        result += char;
+        width += charWidth;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * 打开或关闭终端的鼠标事件报告
+   * 
+   * 使用 SGR 格式报告鼠标按键和滚轮事件；关闭时只在之前打开过的情况下输出控制序列
+   * 
+   * @param {boolean} enabled - 是否打开
+   */
+  static setMouseReporting(enabled) {
+    if (enabled === mouseReporting || !getOutput().isTTY) {
+      return;
+    }
+    getOutput().write(enabled ? '\u001b[?1000h\u001b[?1006h' : '\u001b[?1000l\u001b[?1006l');
+    mouseReporting = enabled;
+  }
+
+  /**
+   * 将数据格式化为对齐的文本表格
+   * 
+   * @param {string[]} headers - 表头
+   * @param {Array<string[]>} rows - 表格数据
+   * @returns {string[]} 表格的每一行，依次为表头、分隔线和数据行
+   */
+  static formatTable(headers, rows) {
+    const widths = headers.map((header, column) =>
+      Math.max(UIHandler.getDisplayWidth(header), ...rows.map(row => UIHandler.getDisplayWidth(row[column])))
+    );
+    const formatRow = row => row
+      .map((cell, column) => String(cell) + ' '.repeat(widths[column] - UIHandler.getDisplayWidth(cell)))
+      .join('  ')
+      .trimEnd();
+
+    return [
+      formatRow(headers),
+      widths.map(width => '-'.repeat(width)).join('  '),
+      ...rows.map(formatRow)
+    ];
+  }
+
+  /**
+   * 参数输入界面
+   * 
+   * 依次提示用户输入菜单项声明的参数，输入无效时重新提示
+   * 方向键模式下选择类型的参数使用方向键选择，其余参数使用文本输入
+   * 
+   * @param {Array} params - 参数定义列表
+   * @param {object} settingsConfig - 应用设置配置
+   * @param {string} configDir - 配置文件目录路径
+   * @param {string} baseDir - 路径类型参数的基准目录
+   * @returns {Promise<object>} 参数名到参数值的映射
+   */
+  static async promptForParameters(params, settingsConfig = null, configDir = './config', baseDir = process.cwd()) {
+    const inputMethod = settingsConfig?.settings?.input_method || 'num_input';
+    const values = {};
+    
+    for (const param of params) {
+      const label = getParameterLabel(param);
+      const defaultHint = param.default !== undefined ? ` [${t('ui.defaultValue', { value: param.default })}]` : '';
+      
+      while (true) {
+        let rawValue;
+        
+        if (param.type === 'choice') {
+          const choices = getParameterChoices(param);
+          
+          if (inputMethod === 'arrow_input') {
+            const menuItems = choices.map((choice, index) => ({ id: index + 1, name: choice.label }));
+            const selectedId = await UIHandler.selectWithArrowKeys(menuItems, `${label}${defaultHint}`, configDir);
+            if (selectedId === 'q' || selectedId === 'p') {
+              throw new Error('BACK_TO_PARENT_MENU');
+            } else if (selectedId === 'm') {
+              throw new Error('BACK_TO_MAIN_MENU');
+            }
+            // 直接使用选项的值，避免编号与数字形式的选项值混淆
+            rawValue = choices[selectedId - 1].value;
+          } else {
+            print(colorize('title', `${label}${defaultHint}`));
+            choices.forEach((choice, index) => print(`| ${index + 1} |→ ${choice.label}`));
+            rawValue = await UIHandler.question('>>> ');
+            // 列表中显示的是编号，因此输入范围内的数字时总是按编号选择
+            const index = /^\d+$/.test(rawValue.trim()) ? parseInt(rawValue.trim()) - 1 : -1;
+            if (index >= 0 && index < choices.length) {
+              rawValue = choices[index].value;
+            }
+          }
+        } else {
+          const description = param.description ? ` (${param.description})` : '';
+          rawValue = await UIHandler.question(colorize('info', `${label}${description}${defaultHint}: `));
+        }
+        
+        const result = normalizeParameterValue(param, rawValue, baseDir);
+        if (result.error) {
+          print(colorize('error', result.error));
+          continue;
+        }
+        
+        values[param.name] = result.value;
+        break;
+      }
+    }
+    
+    return values;
+  }
+
     /**
 
      * 显示带方向键选择的菜单
@@ -137,19 +433,28 @@ class UIHandler {
 
      * @param {string} title - 菜单标题
 
-     * @returns {Promise<number>} 用户选择的菜单项ID
+     * @param {string} configDir - 配置文件目录路径
+
+     * @param {object} options - 可选设置，initialId 为初始高亮的菜单项ID，message 为显示在标题下方的提示信息，
+
+     *                           itemActions 为启用的菜单项管理操作（例如 remove、rename）
+
+     * @returns {Promise<number|string|object>} 用户选择的菜单项ID、特殊按键，收藏操作 { action: 'f', id } 或管理操作 { action, id }
 
      */
 
-    static async selectWithArrowKeys(menuItems, title, configDir = './config') {
+    static async selectWithArrowKeys(menuItems, title, configDir = './config', options = {}) {
+
+      const inputStream = getInput();
+      const outputStream = getOutput();
 
       return new Promise((resolve) => {
 
-        let selectedIndex = 0;
+        let selectedIndex = Math.max(0, menuItems.findIndex(item => item.id === options.initialId));
 
         
 
-                    // 从配置文件读取箭头指示符
+                    // 从配置文件读取箭头指示符和鼠标设置
 
         
 
@@ -157,6 +462,10 @@ class UIHandler {
 
         
 
+                    let mouseEnabled = false;
+
+        
+
                     try {
 
         
@@ -177,6 +486,10 @@ class UIHandler {
 
         
 
+                      mouseEnabled = settingsConfig.settings?.mouse === true;
+
+        
+
                     } catch (error) {
 
         
@@ -195,9 +508,9 @@ class UIHandler {
 
         const rl = readline.createInterface({
 
-          input: process.stdin,
+          input: inputStream,
 
-          output: process.stdout,
+          output: outputStream,
 
           terminal: true
 
@@ -209,13 +522,13 @@ class UIHandler {
 
         try {
 
-          process.stdin.setRawMode(true);
+          inputStream.setRawMode(true);
 
         } catch (err) {
 
           // 如果不支持 raw mode，使用数字输入方式
 
-          rl.question('请输入选项编号: ', (answer) => {
+          rl.question(t('ui.enterOptionNumber'), (answer) => {
 
             rl.close();
 
@@ -249,251 +562,435 @@ class UIHandler {
 
         // 设置输入为原始模式以捕获箭头键
 
-        process.stdin.setRawMode(true);
+        inputStream.setRawMode(true);
 
-        process.stdin.resume();
+        inputStream.resume();
 
   
 
-        // 显示菜单
+        // 已显示的菜单项行、列表的滚动位置和标题区域占用的行数，用于只重绘变化的行
 
-        const displayMenu = () => {
+        let renderedLines = [];
 
-          // 清屏
+        let scrollOffset = 0;
 
-          process.stdout.write('\u001b[2J\u001b[0;0H');
+        let headerHeight = 0;
 
-          
+        // 列表一屏显示的菜单项数量，用于翻页
 
-                  // 显示logo
+        let pageSize = 1;
 
-          
+        // 列表中第一个菜单项所在的行，可以滚动时第一行是滚动提示
 
-                  try {
+        let firstItemLine = 0;
 
-          
+        // 隐藏光标，减少重绘时的闪烁
 
-                    const logoPath = path.join(configDir, 'logo');
+        outputStream.write('\u001b[?25l');
 
-          
+        // 启用鼠标时打开鼠标事件报告
 
-                    const logoContent = fs.readFileSync(logoPath, 'utf-8');
+        if (mouseEnabled) {
 
-          
+          UIHandler.setMouseReporting(true);
 
-                    console.log(logoContent); // 直接显示 logo，不添加颜色
+        }
 
-          
+        // 获取logo、标题和提示信息等菜单项上方显示的内容
 
-                  } catch (error) {
+        const getHeaderLines = () => {
 
-          
+          const lines = [];
 
-                    // 如果logo文件不存在，显示默认标题
+          // 显示logo
 
-          
+          try {
 
-                    console.log('\x1b[35m');
+            const logoPath = path.join(configDir, 'logo');
 
-          
+            const logoContent = fs.readFileSync(logoPath, 'utf-8');
 
-                    console.log('---------------------------------');
+            lines.push(colorizeLogo(logoContent)); // 主题没有设置 logo 样式时直接显示 logo，不添加颜色
 
-          
+          } catch (error) {
 
-                    console.log('    Universal Tool Framework    ');
+            // 如果logo文件不存在，显示默认标题
 
-          
+            lines.push('');
 
-                    console.log('---------------------------------\x1b[0m');
+            lines.push(colorize('logo', [
 
-          
+              '---------------------------------',
 
-                  }
+              '    Universal Tool Framework    ',
 
-          
+              '---------------------------------'
+
+            ].join('\n')));
+
+          }
 
           // 显示菜单标题
 
-          console.log(`\x1b[36m${title}\x1b[0m`);
+          lines.push(colorize('title', title));
 
-          
+          // 显示上一次操作的提示信息
 
-                              // 显示菜单项
+          if (options.message) {
 
-          
+            lines.push(options.message);
 
-                              menuItems.forEach((item, index) => {
+          }
 
-          
+          return lines;
 
-                                                        if (index === selectedIndex) {
+        };
 
-          
+        // 生成视口中的菜单项行，菜单项超过终端高度时只显示选中项附近的部分，并在上下显示滚动提示
 
-                                                          // 使用反色高亮选中项
+        const getItemLines = () => {
 
-          
+          const columns = outputStream.columns || 80;
 
-                                                          if (arrowIndicator) {
+          const available = Math.max(3, (outputStream.rows || 24) - headerHeight - 1);
 
-          
+          const scrollable = menuItems.length > available;
 
-                                                            console.log(`\x1b[7m${arrowIndicator}${item.name}\x1b[0m`); // 反色显示，带箭头
+          const height = scrollable ? available - 2 : menuItems.length;
 
-          
+          pageSize = height;
 
-                                                          } else {
+          firstItemLine = scrollable ? 1 : 0;
 
-          
+          // 滚动视口，使选中项保持可见
 
-                                                            console.log(`\x1b[7m  ${item.name}\x1b[0m`); // 反色显示，添加2个空格前缀
+          if (selectedIndex < scrollOffset) {
 
-          
+            scrollOffset = selectedIndex;
 
-                                                          }
+          } else if (selectedIndex >= scrollOffset + height) {
 
-          
+            scrollOffset = selectedIndex - height + 1;
 
-                                                        } else {
+          }
 
-          
+          scrollOffset = Math.max(0, Math.min(scrollOffset, menuItems.length - height));
 
-                                                          // 非选中项：如果arrow_indicator为空字符串，也添加2个空格以与选中项对齐
+          const lines = menuItems.slice(scrollOffset, scrollOffset + height).map((item, offset) => {
 
-          
+            if (scrollOffset + offset === selectedIndex) {
 
-                                                          if (arrowIndicator) {
+              // 使用主题的选中样式显示，带箭头；没有箭头时添加2个空格前缀
 
-          
+              const prefix = arrowIndicator || '  ';
 
-                                                            console.log(`  ${item.name}`); // 添加空格以与箭头对齐
+              return colorize('selected', UIHandler.truncateToWidth(`${prefix}${UIHandler.formatItemName(item)}`, columns - 1));
 
-          
+            }
 
-                                                          } else {
+            // 非选中项：添加2个空格以与选中项对齐
 
-          
+            return UIHandler.truncateToWidth(`  ${colorize('item', UIHandler.formatItemName(item))}`, columns - 1);
 
-                                                            console.log(`  ${item.name}`); // 添加2个空格以与选中项对齐
+          });
 
-          
+          if (scrollable) {
 
-                                                          }
+            const above = scrollOffset;
 
-          
+            const below = menuItems.length - scrollOffset - height;
 
-                                                        }
+            lines.unshift(above > 0 ? colorize('hint', `  ↑ ${t('ui.moreAbove', { count: above })}`) : '');
 
-          
+            lines.push(below > 0 ? colorize('hint', `  ↓ ${t('ui.moreBelow', { count: below })}`) : '');
+
+          }
 
-                              });
+          return lines;
 
         };
 
-  
+        // 显示菜单，清屏后重新显示全部内容
+
+        const displayMenu = () => {
+
+          // 清屏
+
+          outputStream.write('\u001b[2J\u001b[0;0H');
+
+          const headerLines = getHeaderLines();
+
+          headerLines.forEach(line => outputStream.write(`${line}\n`));
+
+          // 计算标题区域占用的行数，超过终端宽度的行会折行显示
+
+          const columns = outputStream.columns || 80;
+
+          headerHeight = headerLines.join('\n').split('\n').reduce((sum, line) =>
+
+            sum + Math.max(1, Math.ceil(UIHandler.getDisplayWidth(UIHandler.stripAnsi(line)) / columns)), 0);
+
+          renderedLines = getItemLines();
+
+          renderedLines.forEach(line => outputStream.write(`${line}\n`));
+
+        };
+
+        // 更新菜单，只重绘内容发生变化的行
+
+        const updateMenu = () => {
+
+          const lines = getItemLines();
+
+          if (lines.length !== renderedLines.length) {
+
+            displayMenu();
+
+            return;
+
+          }
+
+          // 光标位于列表下方，移动到变化的行重绘后再移回
+
+          let output = '';
+
+          lines.forEach((line, index) => {
+
+            if (line !== renderedLines[index]) {
+
+              const distance = lines.length - index;
+
+              output += `\u001b[${distance}A\r\u001b[2K${line}\u001b[${distance}B\r`;
+
+            }
+
+          });
+
+          renderedLines = lines;
+
+          outputStream.write(output);
+
+        };
+
+        // 终端大小变化时重新显示菜单
+
+        const onResize = bindUIContext(() => displayMenu());
+
+        outputStream.on('resize', onResize);
+
+        // 选择结束时恢复光标并停止监听终端大小变化
+
+        rl.on('close', () => {
+
+          outputStream.removeListener('resize', onResize);
+
+          outputStream.write('\u001b[?25h');
+
+          UIHandler.setMouseReporting(false);
+
+        });
 
         displayMenu();
 
   
 
-        const onKeyPress = (chunk) => {
+        // 数字跳转时已输入的编号和最后一次输入数字的时间
 
-          const input = chunk.toString();
+        let digitBuffer = '';
 
-          
+        let lastDigitTime = 0;
 
-          // 检查方向键
+        // 结束选择，恢复标准模式并返回结果
 
-          if (input === '\u001b[A') { // 上箭头
+        const finish = (result) => {
 
-            selectedIndex = (selectedIndex - 1 + menuItems.length) % menuItems.length;
+          // 恢复标准模式
 
-            displayMenu();
+          if (inputStream.setRawMode) {
 
-          } else if (input === '\u001b[B') { // 下箭头
+            inputStream.setRawMode(false);
 
-            selectedIndex = (selectedIndex + 1) % menuItems.length;
+          }
 
-            displayMenu();
+          rl.close();
 
-                          } else if (input === '\u001b[D') { // 左箭头 返回上级菜单
+          inputStream.removeListener('data', onKeyPress);
 
-                              // 恢复标准模式
+          resolve(result);
 
-                              if (process.stdin.setRawMode) {
+        };
 
-                                process.stdin.setRawMode(false);
+        // 移动高亮项，wrap 为 true 时在首尾之间循环，否则停在首尾
 
-                              }
+        const moveTo = (index, wrap = false) => {
 
-                              rl.close();
+          selectedIndex = wrap
 
-                              process.stdin.removeListener('data', onKeyPress);
+            ? (index + menuItems.length) % menuItems.length
 
-                              // 返回到上一级菜单，使用'q'表示返回上级
+            : Math.max(0, Math.min(index, menuItems.length - 1));
 
-                              resolve('q');
+          updateMenu();
 
-                            } else if (input === '\u001b[C') { // 右箭头 返回主菜单
+        };
 
-                              // 恢复标准模式
+        // 上一次单击的菜单项和时间，用于识别双击
 
-                              if (process.stdin.setRawMode) {
+        let lastClickIndex = -1;
 
-                                process.stdin.setRawMode(false);
+        let lastClickTime = 0;
 
-                              }
+        // 处理鼠标事件：单击选中菜单项，双击运行，滚轮移动高亮；row 为从1开始的终端行号
 
-                              rl.close();
+        const handleMouse = (button, row, pressed) => {
 
-                              process.stdin.removeListener('data', onKeyPress);
+          // 忽略 Shift、Alt、Ctrl 修饰键
 
-                              // 返回主菜单，使用'm'表示返回主菜单
+          const code = button & ~28;
 
-                              resolve('m');
+          if (code === 64) { // 滚轮向上
 
-          } else if (input.toLowerCase() === 'p') { // 'p' 键切换工具包
+            moveTo(selectedIndex - 1);
 
-            // 恢复标准模式
+          } else if (code === 65) { // 滚轮向下
 
-            if (process.stdin.setRawMode) {
+            moveTo(selectedIndex + 1);
 
-              process.stdin.setRawMode(false);
+          } else if (code === 0 && pressed) { // 左键按下
 
-            }
+            const offset = row - headerHeight - 1 - firstItemLine;
 
-            rl.close();
+            if (offset < 0 || offset >= pageSize || scrollOffset + offset >= menuItems.length) {
 
-            process.stdin.removeListener('data', onKeyPress);
+              return;
 
-            // 切换工具包，使用'p'表示切换工具包
+            }
 
-            resolve('p');
+            const index = scrollOffset + offset;
 
-          } else if (input === '\r' || input === '\n') { // 回车
+            const now = Date.now();
 
-            // 恢复标准模式
+            if (index === lastClickIndex && now - lastClickTime < 400) {
 
-            if (process.stdin.setRawMode) {
+              finish(menuItems[index].id);
 
-              process.stdin.setRawMode(false);
+              return;
 
             }
 
-            rl.close();
+            lastClickIndex = index;
 
-            process.stdin.removeListener('data', onKeyPress);
+            lastClickTime = now;
 
-            resolve(menuItems[selectedIndex].id);
+            moveTo(index);
 
           }
 
         };
 
+        // 返回上级菜单使用'q'，返回主菜单使用'm'，其余动作使用默认按键表示
+
+        const actionResults = { back: 'q', main: 'm', switch_package: 'p', search: '/', history: 'h', log: 'l', refresh: 'r' };
+
+        const onKeyPress = bindUIContext((chunk) => {
+
+          const input = chunk.toString();
+
+          // 清除 readline 回显在列表下方的字符
+
+          outputStream.write('\r\u001b[2K');
+
+          // SGR 格式的鼠标事件，一次输入中可能包含多个事件
+
+          const mouseEvents = [...input.matchAll(/\u001b\[<(\d+);(\d+);(\d+)([Mm])/g)];
+
+          if (mouseEvents.length > 0) {
+
+            mouseEvents.forEach(([, button, , row, type]) => handleMouse(Number(button), Number(row), type === 'M'));
+
+            return;
+
+          }
+
+          const action = getKeyAction(input);
+
+          if (action === 'up') {
+
+            moveTo(selectedIndex - 1, true);
+
+          } else if (action === 'down') {
+
+            moveTo(selectedIndex + 1, true);
+
+          } else if (action === 'first') {
+
+            moveTo(0);
+
+          } else if (action === 'last') {
+
+            moveTo(menuItems.length - 1);
+
+          } else if (action === 'page_up') {
+
+            moveTo(selectedIndex - pageSize);
+
+          } else if (action === 'page_down') {
+
+            moveTo(selectedIndex + pageSize);
+
+          } else if (action === 'select') {
+
+            finish(menuItems[selectedIndex].id);
+
+          } else if (action === 'favorite') {
+
+            // 收藏操作，同时返回当前高亮的菜单项ID
+
+            finish({ action: 'f', id: menuItems[selectedIndex].id });
+
+          } else if ((options.itemActions || []).includes(action)) {
+
+            // 调用方启用的管理操作，例如工具包选择菜单中的移除和重命名，同时返回当前高亮的菜单项ID
+
+            finish({ action, id: menuItems[selectedIndex].id });
+
+          } else if (actionResults[action]) {
+
+            finish(actionResults[action]);
+
+          } else if (/^[0-9]+$/.test(input) && isDigitJumpEnabled()) {
+
+            // 跳转到编号对应的菜单项，1秒内连续输入的数字组合为多位编号
+
+            const now = Date.now();
+
+            digitBuffer = now - lastDigitTime < 1000 ? digitBuffer + input : input;
+
+            lastDigitTime = now;
+
+            let index = menuItems.findIndex(item => String(item.id) === digitBuffer);
+
+            if (index === -1) {
+
+              digitBuffer = input;
+
+              index = menuItems.findIndex(item => String(item.id) === digitBuffer);
+
+            }
+
+            if (index !== -1) {
+
+              moveTo(index);
+
+            }
+
+          }
+
+        });
+
   
 
-        process.stdin.on('data', onKeyPress);
+        inputStream.on('data', onKeyPress);
 
       });
 
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ApplicationController = require('../src/applicationController');
+
+test('同一时刻开始的运行使用不同的日志文件', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'utf-test-'));
+  try {
+    const app = new ApplicationController({ userDataPath: dir });
+    app.toolPackageDir = dir;
+    app.settingsConfig = { settings: { log_output: true } };
+
+    const first = app.getLogFilePath(null, 'echo');
+    fs.mkdirSync(path.dirname(first), { recursive: true });
+    fs.writeFileSync(first, '');
+    const second = app.getLogFilePath(null, 'echo');
+
+    assert.notStrictEqual(second, first);
+    assert.strictEqual(path.dirname(second), path.join(dir, 'logs'));
+    assert.match(path.basename(second), /^\d{8}-\d{9}-echo(-\d+)?\.log$/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('菜单项的 log_output 优先于全局设置', () => {
+  const app = new ApplicationController({ userDataPath: os.tmpdir() });
+  app.toolPackageDir = os.tmpdir();
+  app.settingsConfig = { settings: { log_output: true } };
+
+  assert.strictEqual(app.getLogFilePath({ log_output: false }, 'echo'), null);
+});
@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const ApplicationController = require('../src/applicationController');
+const { ConfigValidationError } = require('../src/configValidator');
+const {
+  FRAMEWORK_VERSION,
+  satisfiesRange,
+  isValidRange,
+  checkCompatibility
+} = require('../src/compatibility');
+
+test('比较条件和通配符', () => {
+  assert.ok(satisfiesRange('2.2.0', '>=2.1.0 <3'));
+  assert.ok(!satisfiesRange('3.0.0', '>=2.1.0 <3'));
+  assert.ok(satisfiesRange('2.9.1', '2.x'));
+  assert.ok(satisfiesRange('5.0.0', '*'));
+  assert.ok(satisfiesRange('2.1.5', '2.1'));
+  assert.ok(!satisfiesRange('2.2.0', '2.1'));
+  assert.ok(satisfiesRange('2.0.0', '<=2'));
+  assert.ok(!satisfiesRange('2.0.0', '>2'));
+});
+
+test('^ 和 ~ 运算符', () => {
+  assert.ok(satisfiesRange('2.9.0', '^2.1'));
+  assert.ok(!satisfiesRange('3.0.0', '^2.1'));
+  assert.ok(satisfiesRange('0.2.5', '^0.2.1'));
+  assert.ok(!satisfiesRange('0.3.0', '^0.2.1'));
+  assert.ok(!satisfiesRange('0.0.4', '^0.0.3'));
+  assert.ok(satisfiesRange('2.1.9', '~2.1.3'));
+  assert.ok(!satisfiesRange('2.2.0', '~2.1.3'));
+});
+
+test('|| 分隔的条件组满足其一即可', () => {
+  assert.ok(satisfiesRange('3.4.0', '^2.1 || ^3'));
+  assert.ok(!satisfiesRange('4.0.0', '^2.1 || ^3'));
+  assert.ok(satisfiesRange('2.2.0', '>= 2.2.0'));
+});
+
+test('预发布版本的数字标识按数值比较', () => {
+  assert.ok(satisfiesRange('1.0.0-rc.10', '>1.0.0-rc.9'));
+  assert.ok(!satisfiesRange('1.0.0-rc.9', '>1.0.0-rc.10'));
+  assert.ok(satisfiesRange('1.0.0-rc.1', '<1.0.0'));
+  assert.ok(satisfiesRange('1.0.0-alpha', '<1.0.0-alpha.1'));
+  assert.ok(satisfiesRange('1.0.0-1', '<1.0.0-alpha'));
+  assert.ok(satisfiesRange('1.0.0-beta', '>1.0.0-alpha.1'));
+});
+
+test('版本范围的格式', () => {
+  assert.ok(isValidRange('>=2.1.0 <3'));
+  assert.ok(isValidRange('^2.1 || ^3'));
+  assert.ok(!isValidRange(''));
+  assert.ok(!isValidRange('>=two'));
+  assert.ok(!isValidRange('2.x.1'));
+  assert.ok(!isValidRange('^2 ||'));
+  assert.ok(!isValidRange(2));
+});
+
+test('当前框架满足本系列功能所需的版本', () => {
+  assert.ok(satisfiesRange(FRAMEWORK_VERSION, '>=2.2.0 <3'));
+});
+
+test('检查需要的框架版本和功能', () => {
+  assert.deepStrictEqual(checkCompatibility({ framework: '>=2.2.0', capabilities: ['when', 'env'] }), []);
+  assert.strictEqual(checkCompatibility({ framework: '>=99' }).length, 1);
+  assert.strictEqual(checkCompatibility({ capabilities: 'teleport' }).length, 1);
+});
+
+test('格式不正确的版本范围不作为版本不匹配报告', () => {
+  assert.deepStrictEqual(checkCompatibility({ framework: '>=two' }), []);
+  assert.deepStrictEqual(checkCompatibility({ capabilities: [5] }), []);
+});
+
+test('格式不正确的版本范围作为对应字段的校验错误拒绝加载', () => {
+  const app = new ApplicationController({ userDataPath: os.tmpdir() });
+  const config = {
+    menu: { menu: { main: { title: 'Main', items: [{ id: 1, name: 'Echo', type: 'executable', path: 'echo hello' }] } } },
+    settings: { app: { name: 'Demo', version: '1.0.0', framework: '>=two' } }
+  };
+
+  assert.throws(() => app.loadToolPackageConfig(config, os.tmpdir()), (error) => {
+    assert.ok(error instanceof ConfigValidationError);
+    assert.strictEqual(error.errors.length, 1);
+    assert.match(error.errors[0], /app\.framework/);
+    return true;
+  });
+});
+
+test('不兼容的工具包默认拒绝加载，warn 模式返回警告', () => {
+  const app = new ApplicationController({ userDataPath: os.tmpdir() });
+  const menu = { menu: { main: { title: 'Main', items: [{ id: 1, name: 'Echo', type: 'executable', path: 'echo hello' }] } } };
+  const settings = { app: { name: 'Demo', version: '1.0.0', framework: '>=99' } };
+
+  assert.throws(() => app.loadToolPackageConfig({ menu, settings }, os.tmpdir()), (error) => {
+    assert.ok(error instanceof ConfigValidationError);
+    assert.strictEqual(error.errors.length, 1);
+    return true;
+  });
+
+  const warnings = app.loadToolPackageConfig({ menu, settings: { app: { ...settings.app, compatibility: 'warn' } } }, os.tmpdir());
+  assert.strictEqual(warnings.length, 1);
+});
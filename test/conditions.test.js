@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { evaluateCondition, isCommandAvailable } = require('../src/conditions');
+const { getSystemArchitecture, detectOperatingSystem } = require('../src/systemUtils');
+
+const context = { packageDir: __dirname };
+
+test('没有条件时总是满足', () => {
+  assert.ok(evaluateCondition(undefined, context));
+  assert.ok(evaluateCondition(null, context));
+});
+
+test('按操作系统和架构判断，数组匹配其中之一即可', () => {
+  const currentOs = detectOperatingSystem();
+  const currentArch = getSystemArchitecture();
+
+  assert.ok(evaluateCondition({ os: currentOs, arch: currentArch }, context));
+  assert.ok(evaluateCondition({ os: ['Other', currentOs] }, context));
+  assert.ok(!evaluateCondition({ os: 'Other' }, context));
+  assert.ok(!evaluateCondition({ os: currentOs, arch: 'Other' }, context));
+});
+
+test('按环境变量判断', () => {
+  process.env.UTF_TEST_SET = 'yes';
+  process.env.UTF_TEST_EMPTY = '';
+  delete process.env.UTF_TEST_UNSET;
+  try {
+    assert.ok(evaluateCondition({ env: { UTF_TEST_SET: true, UTF_TEST_EMPTY: false, UTF_TEST_UNSET: false } }, context));
+    assert.ok(evaluateCondition({ env: { UTF_TEST_SET: 'yes' } }, context));
+    assert.ok(!evaluateCondition({ env: { UTF_TEST_SET: 'no' } }, context));
+    assert.ok(!evaluateCondition({ env: { UTF_TEST_UNSET: true } }, context));
+  } finally {
+    delete process.env.UTF_TEST_SET;
+    delete process.env.UTF_TEST_EMPTY;
+  }
+});
+
+test('file_exists 相对于工具包目录并展开路径占位符', () => {
+  const packageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'utf-test-'));
+  try {
+    fs.mkdirSync(path.join(packageDir, 'bin'));
+    fs.writeFileSync(path.join(packageDir, 'bin', 'tool'), '');
+    const packageContext = { packageDir };
+
+    assert.ok(evaluateCondition({ file_exists: 'bin/tool' }, packageContext));
+    assert.ok(evaluateCondition({ file_exists: ['${PACKAGE_DIR}/bin', 'bin/tool'] }, packageContext));
+    assert.ok(!evaluateCondition({ file_exists: ['bin/tool', 'bin/missing'] }, packageContext));
+  } finally {
+    fs.rmSync(packageDir, { recursive: true, force: true });
+  }
+});
+
+test('command 在 PATH 中查找命令', { skip: process.platform === 'win32' }, () => {
+  assert.ok(isCommandAvailable('sh', __dirname));
+  assert.ok(evaluateCondition({ command: 'sh' }, context));
+  assert.ok(!evaluateCondition({ command: 'utf-test-no-such-command' }, context));
+});
+
+test('any 满足其一即可，not 取反', () => {
+  const currentOs = detectOperatingSystem();
+
+  assert.ok(evaluateCondition({ any: [{ os: 'Other' }, { os: currentOs }] }, context));
+  assert.ok(!evaluateCondition({ any: [{ os: 'Other' }, { arch: 'Other' }] }, context));
+  assert.ok(evaluateCondition({ not: { os: 'Other' } }, context));
+  assert.ok(!evaluateCondition({ not: { os: currentOs } }, context));
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { checkPackageHealth } = require('../src/packageHealth');
+
+/**
+ * 创建临时工具包
+ * 
+ * @param {object} files - 配置文件名到文件内容的映射
+ * @returns {{packagePath: string, configDir: string}} 工具包路径和配置目录
+ */
+function createPackage(files) {
+  const packagePath = fs.mkdtempSync(path.join(os.tmpdir(), 'utf-test-'));
+  const configDir = path.join(packagePath, 'config');
+  fs.mkdirSync(configDir);
+  Object.entries(files).forEach(([file, content]) => {
+    fs.writeFileSync(path.join(configDir, file), content);
+  });
+  return { packagePath, configDir };
+}
+
+const menu = JSON.stringify({ menu: { main: { title: 'Main', items: [] } } });
+const settings = JSON.stringify({ settings: { arch_picker: false } });
+
+test('可以加载的工具包', () => {
+  const { packagePath, configDir } = createPackage({ 'menu.json': menu, 'settings.json': settings });
+  try {
+    assert.deepStrictEqual(checkPackageHealth(packagePath, configDir), { status: 'ok' });
+  } finally {
+    fs.rmSync(packagePath, { recursive: true, force: true });
+  }
+});
+
+test('配置文件以 BOM 开头时与加载工具包时一样正常解析', () => {
+  const { packagePath, configDir } = createPackage({
+    'menu.json': `\uFEFF${menu}`,
+    'settings.json': `\uFEFF${settings}`
+  });
+  try {
+    assert.deepStrictEqual(checkPackageHealth(packagePath, configDir), { status: 'ok' });
+  } finally {
+    fs.rmSync(packagePath, { recursive: true, force: true });
+  }
+});
+
+test('工具包目录或 menu.json 不存在', () => {
+  const missingPath = path.join(os.tmpdir(), 'utf-test-missing-package');
+  assert.deepStrictEqual(checkPackageHealth(missingPath, path.join(missingPath, 'config')), { status: 'missing' });
+
+  const { packagePath, configDir } = createPackage({ 'settings.json': settings });
+  try {
+    assert.deepStrictEqual(checkPackageHealth(packagePath, configDir), { status: 'missing_menu' });
+  } finally {
+    fs.rmSync(packagePath, { recursive: true, force: true });
+  }
+});
+
+test('JSON 无法解析时报告出错的文件', () => {
+  const { packagePath, configDir } = createPackage({ 'menu.json': menu, 'settings.json': '{bad' });
+  try {
+    const health = checkPackageHealth(packagePath, configDir);
+    assert.strictEqual(health.status, 'invalid_json');
+    assert.strictEqual(health.file, 'settings.json');
+  } finally {
+    fs.rmSync(packagePath, { recursive: true, force: true });
+  }
+});
+
+test('启用架构选择器但缺少 arch_picker.json', () => {
+  const { packagePath, configDir } = createPackage({ 'menu.json': menu });
+  try {
+    assert.deepStrictEqual(checkPackageHealth(packagePath, configDir), { status: 'missing_arch_picker' });
+  } finally {
+    fs.rmSync(packagePath, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PackageInstaller } = require('../src/packageInstaller');
+
+test('安装 settings.json 以 BOM 开头的工具包', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'utf-test-'));
+  try {
+    const configDir = path.join(dir, 'source', 'config');
+    fs.mkdirSync(configDir, { recursive: true });
+    fs.writeFileSync(path.join(configDir, 'menu.json'), JSON.stringify({
+      menu: { main: { title: 'Main', items: [{ id: 1, name: 'Echo', type: 'executable', path: 'echo hello' }] } }
+    }));
+    fs.writeFileSync(path.join(configDir, 'settings.json'), `\uFEFF${JSON.stringify({
+      app: { name: 'Demo', version: '1.0.0' },
+      settings: { arch_picker: false }
+    })}`);
+
+    const installer = new PackageInstaller(path.join(dir, 'data'));
+    const installed = installer.install(path.join(dir, 'source'));
+
+    assert.strictEqual(installed.name, 'Demo');
+    assert.strictEqual(installed.version, '1.0.0');
+    assert.ok(fs.existsSync(path.join(installed.path, 'config', 'menu.json')));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
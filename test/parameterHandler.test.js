@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  normalizeParameterValue,
+  escapeShellArgument,
+  applyParameters,
+  expandPlaceholders
+} = require('../src/parameterHandler');
+
+test('选择类型的参数必须与选项的值完全相同', () => {
+  const param = { name: 'size', type: 'choice', choices: ['10', '20', '30'] };
+
+  assert.deepStrictEqual(normalizeParameterValue(param, '20'), { value: '20' });
+  assert.ok(normalizeParameterValue(param, '2').error);
+  assert.ok(normalizeParameterValue(param, '40').error);
+});
+
+test('选择类型的参数不接受编号', () => {
+  const param = { name: 'mode', type: 'choice', choices: [{ value: 'fast', label: '快速' }, 'full'] };
+
+  assert.deepStrictEqual(normalizeParameterValue(param, 'fast'), { value: 'fast' });
+  assert.ok(normalizeParameterValue(param, '1').error);
+  assert.ok(normalizeParameterValue(param, '快速').error);
+});
+
+test('数字类型的参数检查范围和整数', () => {
+  const param = { name: 'duration', type: 'number', integer: true, min: 1, max: 60 };
+
+  assert.deepStrictEqual(normalizeParameterValue(param, ' 30 '), { value: '30' });
+  assert.ok(normalizeParameterValue(param, 'abc').error);
+  assert.ok(normalizeParameterValue(param, '1.5').error);
+  assert.ok(normalizeParameterValue(param, '0').error);
+  assert.ok(normalizeParameterValue(param, '61').error);
+});
+
+test('输入为空时使用默认值，非必填参数可以为空', () => {
+  assert.deepStrictEqual(normalizeParameterValue({ name: 'n', type: 'number', default: 5 }, ''), { value: '5' });
+  assert.deepStrictEqual(normalizeParameterValue({ name: 's', required: false }, undefined), { value: '' });
+  assert.ok(normalizeParameterValue({ name: 's' }, '').error);
+});
+
+test('字符串参数按 pattern 校验', () => {
+  const param = { name: 'disk', pattern: '^sd[a-z]$' };
+
+  assert.deepStrictEqual(normalizeParameterValue(param, 'sdb'), { value: 'sdb' });
+  assert.ok(normalizeParameterValue(param, 'sdb; rm -rf /').error);
+});
+
+test('Linux 下参数使用单引号转义', () => {
+  assert.strictEqual(escapeShellArgument('a b', 'Linux'), "'a b'");
+  assert.strictEqual(escapeShellArgument("it's $HOME `id`", 'Linux'), "'it'\\''s $HOME `id`'");
+  assert.throws(() => escapeShellArgument('a\0b', 'Linux'));
+});
+
+test('Windows 下参数使用双引号转义并阻止环境变量展开', () => {
+  assert.strictEqual(escapeShellArgument('say "hi"', 'Windows'), '"say ""hi"""');
+  assert.strictEqual(escapeShellArgument('%PATH%', 'Windows'), '""^%"PATH"^%""');
+  assert.throws(() => escapeShellArgument('a\nb', 'Windows'));
+});
+
+test('替换命令中的参数占位符', () => {
+  assert.strictEqual(
+    applyParameters('stress --time {{ duration }} --name {{name}}', { duration: '30', name: 'x; y' }, 'Linux'),
+    "stress --time '30' --name 'x; y'"
+  );
+  assert.throws(() => applyParameters('echo {{missing}}', {}, 'Linux'));
+});
+
+test('只展开框架提供的路径占位符', () => {
+  assert.strictEqual(
+    expandPlaceholders('${PACKAGE_DIR}/bin/${ARCH}/tool ${USER}', { PACKAGE_DIR: '/opt/pkg', ARCH: 'X86_64' }),
+    '/opt/pkg/bin/X86_64/tool ${USER}'
+  );
+});
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PassThrough } = require('stream');
+const { ToolExecutor } = require('../src/toolExecutor');
+
+const skip = process.platform === 'win32';
+
+/**
+ * 在临时目录中运行命令，结束后终止记录在 PID_FILE 中的后台进程
+ * 
+ * @param {string} command - 要运行的命令
+ * @param {object} options - runCommand 的运行选项
+ * @param {Function} [onStart] - 命令启动后调用
+ * @returns {Promise<{result: object, elapsed: number, output: string}>} 执行结果、耗时（毫秒）和输出
+ */
+async function runInTempDir(command, options, onStart) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'utf-test-'));
+  const pidFile = path.join(dir, 'background.pid');
+  const output = new PassThrough();
+  let text = '';
+  output.on('data', (chunk) => {
+    text += chunk;
+  });
+
+  const executor = new ToolExecutor({ output });
+  const startTime = Date.now();
+  try {
+    const running = executor.runCommand(command, dir, {
+      ...options,
+      logFile: path.join(dir, 'logs', 'run.log'),
+      env: { PID_FILE: pidFile }
+    });
+    if (onStart) {
+      onStart();
+    }
+    const result = await running;
+    return { result, elapsed: Date.now() - startTime, output: text };
+  } finally {
+    try {
+      process.kill(Number(fs.readFileSync(pidFile, 'utf8')), 'SIGKILL');
+    } catch (error) {
+      // 后台进程已经退出
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('Ctrl+C 终止整个进程树', { skip }, async () => {
+  const { result, elapsed } = await runInTempDir(
+    'sleep 30 & echo $! > "$PID_FILE"; sleep 30',
+    {},
+    () => setTimeout(() => process.emit('SIGINT'), 500)
+  );
+
+  assert.deepStrictEqual(result, { exitCode: 130, status: 'cancelled', logWritten: true });
+  assert.ok(elapsed < 5000, `耗时 ${elapsed}ms`);
+});
+
+test('脱离进程树的后台进程持有输出管道时，取消后不会一直等待', { skip }, async () => {
+  const { result, elapsed } = await runInTempDir(
+    'sh -c \'sleep 30 & echo $! > "$PID_FILE"\'; sleep 30',
+    {},
+    () => setTimeout(() => process.emit('SIGINT'), 500)
+  );
+
+  assert.strictEqual(result.status, 'cancelled');
+  assert.ok(elapsed < 10000, `耗时 ${elapsed}ms`);
+});
+
+test('超时后终止命令并返回 124', { skip }, async () => {
+  const { result, elapsed } = await runInTempDir('sleep 30 & echo $! > "$PID_FILE"; wait', { timeout: 1 });
+
+  assert.deepStrictEqual(result, { exitCode: 124, status: 'timed_out', logWritten: true });
+  assert.ok(elapsed < 5000, `耗时 ${elapsed}ms`);
+});
+
+test('输出同时写入输出流和日志文件', { skip }, async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'utf-test-'));
+  const logFile = path.join(dir, 'run.log');
+  const output = new PassThrough();
+  let text = '';
+  output.on('data', (chunk) => {
+    text += chunk;
+  });
+
+  try {
+    const result = await new ToolExecutor({ output }).runCommand('echo hello; exit 3', dir, { logFile });
+
+    assert.deepStrictEqual(result, { exitCode: 3, status: 'failed', logWritten: true });
+    assert.match(text, /hello/);
+    assert.match(fs.readFileSync(logFile, 'utf8'), /hello/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
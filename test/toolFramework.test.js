@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PassThrough } = require('stream');
+const { ToolFramework } = require('../src/toolFramework');
+const { getLanguage } = require('../src/i18n');
+
+// 创建使用指定语言的框架实例，收集输出和错误输出
+function createFramework(userDataPath, language, command = 'echo hello') {
+  fs.mkdirSync(userDataPath, { recursive: true });
+  const output = new PassThrough();
+  const errorOutput = new PassThrough();
+  const collected = { output: '', errorOutput: '' };
+  output.on('data', chunk => { collected.output += chunk; });
+  errorOutput.on('data', chunk => { collected.errorOutput += chunk; });
+
+  const framework = new ToolFramework({
+    config: {
+      menu: { menu: { main: { title: 'Main', items: [{ id: 1, name: 'Tool', type: 'executable', path: command }] } } },
+      settings: { app: { name: 'Demo', version: '1.0.0' }, settings: { arch_picker: false, language } }
+    },
+    baseDir: userDataPath,
+    userDataPath,
+    output,
+    errorOutput
+  });
+  framework.load();
+  return { framework, collected };
+}
+
+test('每个实例使用自己的界面语言，不改变进程共用的语言', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'utf-test-'));
+  try {
+    const globalLanguage = getLanguage();
+    const english = createFramework(path.join(dir, 'en'), 'en');
+    const chinese = createFramework(path.join(dir, 'zh'), 'zh-CN');
+
+    const codes = await Promise.all([english.framework.select(1), chinese.framework.select(1)]);
+
+    assert.deepStrictEqual(codes, [0, 0]);
+    assert.match(english.collected.output, /Running command/);
+    assert.doesNotMatch(english.collected.output, /正在运行命令/);
+    assert.match(chinese.collected.output, /正在运行命令/);
+    assert.doesNotMatch(chinese.collected.output, /Running command/);
+    assert.strictEqual(getLanguage(), globalLanguage);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('输出流不是终端时不输出颜色', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'utf-test-'));
+  try {
+    const { framework, collected } = createFramework(dir, 'en');
+    await framework.select(1);
+
+    assert.match(collected.output, /hello/);
+    assert.doesNotMatch(collected.output, /\x1b\[/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('运行记录损坏的警告写入实例的错误输出', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'utf-test-'));
+  const originalError = console.error;
+  const consoleErrors = [];
+  console.error = (...args) => consoleErrors.push(args.join(' '));
+  try {
+    fs.writeFileSync(path.join(dir, 'history.json'), '{ broken');
+    const { framework, collected } = createFramework(dir, 'en');
+    await framework.select(1);
+
+    assert.match(collected.errorOutput, /Failed to parse the run history file/);
+    assert.deepStrictEqual(consoleErrors, []);
+  } finally {
+    console.error = originalError;
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('cancel() 终止正在运行的工具', { skip: process.platform === 'win32' }, async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'utf-test-'));
+  try {
+    const { framework, collected } = createFramework(dir, 'en', 'sleep 30');
+    assert.strictEqual(framework.cancel(), false);
+
+    const running = framework.select(1);
+    await new Promise(resolve => setTimeout(resolve, 300));
+    assert.strictEqual(framework.cancel(), true);
+
+    assert.strictEqual(await running, 130);
+    assert.match(collected.output, /Command cancelled/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});